@@ -0,0 +1,111 @@
+require 'time'
+
+module Jekyll
+  # Builds iCalendar feeds of events, for the per-truck (truck_calendars.rb) and
+  # per-venue (venue_pages.rb) subscriptions. UIDs come from the event id and match
+  # assets/js/event-calendar.js, so calendar apps update events in place instead
+  # of duplicating them on each refresh.
+  module CalendarFeed
+    UID_DOMAIN = 'pghfoodtrucks.com'
+    PRODID = '-//Pittsburgh Food Trucks//Events//EN'
+
+    # Same default as EventStore.DEFAULT_DURATION_MS when end_ts is missing
+    DEFAULT_DURATION = 3 * 60 * 60
+
+    # How often subscribed calendars should check for changes
+    REFRESH_INTERVAL = 'PT6H'
+
+    module_function
+
+    # The .ics text for a calendar called "<name> - Pittsburgh Food Trucks"
+    def build(name, events, build_time)
+      lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        "PRODID:#{PRODID}",
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        "X-WR-CALNAME:#{escape_text("#{name} - Pittsburgh Food Trucks")}",
+        "REFRESH-INTERVAL;VALUE=DURATION:#{REFRESH_INTERVAL}",
+        "X-PUBLISHED-TTL:#{REFRESH_INTERVAL}"
+      ]
+
+      events.each do |event|
+        start_time = parse_time(event['start_ts'])
+        next unless start_time
+
+        lines.concat(build_event(event, start_time, build_time))
+      end
+
+      lines << 'END:VCALENDAR'
+      lines.map { |line| fold_line(line) }.join("\r\n") + "\r\n"
+    end
+
+    def build_event(event, start_time, build_time)
+      end_time = parse_time(event['end_ts'])
+      end_time = start_time + DEFAULT_DURATION if end_time.nil? || end_time <= start_time
+
+      address = event['raw_address'].to_s.strip
+      city = event['city'].to_s.strip
+      address = "#{address}, #{city}" if !address.empty? && !city.empty? && !address.downcase.include?(city.downcase)
+      location = [event['venue'], address].reject { |part| part.nil? || part.to_s.strip.empty? }.join(', ')
+
+      summary = "#{event['truck_name']} at #{event['venue']}"
+      url = SafeOutputFilters.safe_url(event['source_url'])
+      description = [summary, url.empty? ? nil : "Source: #{url}"].compact.join("\n")
+
+      lines = [
+        'BEGIN:VEVENT',
+        "UID:#{event['id']}@#{UID_DOMAIN}",
+        "DTSTAMP:#{format_time(parse_time(event['last_seen_at']) || build_time)}",
+        "DTSTART:#{format_time(start_time)}",
+        "DTEND:#{format_time(end_time)}",
+        "SUMMARY:#{escape_text(summary)}",
+        "LOCATION:#{escape_text(location)}",
+        "DESCRIPTION:#{escape_text(description)}"
+      ]
+
+      lat = event['lat'].to_f
+      lng = event['lng'].to_f
+      lines << "GEO:#{lat};#{lng}" unless lat.zero? || lng.zero?
+      lines << "URL:#{url}" unless url.empty?
+      lines << 'END:VEVENT'
+      lines
+    end
+
+    def parse_time(value)
+      return nil if value.nil? || value.to_s.empty?
+
+      Time.parse(value.to_s)
+    rescue ArgumentError
+      nil
+    end
+
+    def format_time(time)
+      time.utc.strftime('%Y%m%dT%H%M%SZ')
+    end
+
+    # Escape backslashes, semicolons, commas and line breaks - \r\n, \n or a bare \r
+    # (RFC 5545 3.3.11)
+    def escape_text(value)
+      value.to_s.gsub('\\', '\\\\\\\\').gsub(';', '\\;').gsub(',', '\\,').gsub(/\r\n|\r|\n/, '\\n')
+    end
+
+    # Lines longer than 75 octets continue on the next line after a space
+    def fold_line(line)
+      lines = []
+      current = +''
+
+      line.each_char do |character|
+        if current.bytesize + character.bytesize > 75
+          lines << current
+          current = +' '
+        end
+        current << character
+      end
+      lines << current
+
+      lines.join("\r\n")
+    end
+  end
+end
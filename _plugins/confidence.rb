@@ -0,0 +1,25 @@
+module Jekyll
+  # Buckets an event's 0-1 confidence score into 'confirmed', 'likely' or
+  # 'unconfirmed', using the thresholds under confidence in _config.yml. The
+  # same buckets are used in the browser (EventStore.getConfidenceLevel).
+  module ConfidenceFilters
+    # Same defaults as EventStore.CONFIDENCE_THRESHOLDS
+    DEFAULT_THRESHOLDS = { 'confirmed' => 0.95, 'likely' => 0.75 }.freeze
+
+    def confidence_level(input)
+      score = Float(input, exception: false)
+      return 'unconfirmed' unless score
+
+      thresholds = DEFAULT_THRESHOLDS.merge(@context.registers[:site].config['confidence'] || {})
+      if score >= thresholds['confirmed'].to_f
+        'confirmed'
+      elsif score >= thresholds['likely'].to_f
+        'likely'
+      else
+        'unconfirmed'
+      end
+    end
+  end
+end
+
+Liquid::Template.register_filter(Jekyll::ConfidenceFilters)
@@ -0,0 +1,149 @@
+require 'time'
+
+module Jekyll
+  # Merges duplicate reports of one stop at build time, by the rules of
+  # assets/js/event-dedup.js (which does the same in the browser): reports from
+  # the same truck whose times overlap, whose venue names match loosely (or that
+  # are pinned to the same spot) and that are close together. The most confident
+  # report is kept, with duplicate_ids and also_reported, so the calendar feeds
+  # and venue pages count a stop once, as the home page does.
+  module EventDedup
+    # Same thresholds as EventDedup in event-dedup.js
+    MAX_DISTANCE_MILES = 0.5
+    SAME_SPOT_MILES = 0.05
+    MIN_PREFIX_LENGTH = 6
+    MIN_VENUE_SIMILARITY = 0.8
+
+    EARTH_RADIUS_MILES = 3959
+
+    module_function
+
+    # events are hashes as in _data/events.json. Returns them in the same order,
+    # with each group of duplicates replaced by its kept report.
+    def merge(events)
+      replacements = {}.compare_by_identity
+
+      # In time order, as EventStore sorts before merging, so ties pick the same report
+      ordered = events.each_with_index.sort_by { |event, index| [start_time(event)&.to_f || 0, index] }.map(&:first)
+      ordered.group_by { |event| event['truck_name'].to_s.strip.downcase }.each_value do |truck_events|
+        # Each report joins every group it duplicates; groups it bridges become one
+        groups = []
+        truck_events.each do |event|
+          matching, groups = groups.partition { |group| group.any? { |other| duplicate?(event, other) } }
+          groups << matching.flatten(1).push(event)
+        end
+
+        groups.select { |group| group.length > 1 }.each do |group|
+          kept = pick_kept(group)
+          merged = group.reject { |event| event.equal?(kept) }
+
+          replacements[kept] = kept.merge(
+            'duplicate_ids' => merged.map { |event| event['id'].to_s },
+            'also_reported' => merged.map { |event| { 'id' => event['id'].to_s, 'venue' => event['venue'], 'source_url' => event['source_url'] } }
+          )
+          merged.each { |event| replacements[event] = nil }
+        end
+      end
+
+      events.map { |event| replacements.key?(event) ? replacements[event] : event }.compact
+    end
+
+    def duplicate?(a, b)
+      return false unless times_overlap?(a, b)
+
+      # Without coordinates on both, the venue names have to carry it
+      spot_a = coordinates(a)
+      spot_b = coordinates(b)
+      return venues_match?(a['venue'], b['venue']) unless spot_a && spot_b
+
+      miles = miles_between(spot_a, spot_b)
+      return false if miles > MAX_DISTANCE_MILES
+
+      miles <= SAME_SPOT_MILES || venues_match?(a['venue'], b['venue'])
+    end
+
+    def times_overlap?(a, b)
+      start_a = start_time(a)
+      start_b = start_time(b)
+      return false unless start_a && start_b
+
+      start_a < end_time(b) && start_b < end_time(a)
+    end
+
+    def start_time(event)
+      CalendarFeed.parse_time(event['start_ts'])
+    end
+
+    # Open-ended reports run CalendarFeed::DEFAULT_DURATION, as in the feeds
+    def end_time(event)
+      start = start_time(event)
+      finish = CalendarFeed.parse_time(event['end_ts'])
+      finish.nil? || finish <= start ? start + CalendarFeed::DEFAULT_DURATION : finish
+    end
+
+    # "SouthSide Works" -> "southsideworks"
+    def normalize_venue(venue)
+      venue.to_s
+        .unicode_normalize(:nfkd)
+        .gsub(/\p{Mn}/, '')
+        .downcase
+        .gsub('&', 'and')
+        .gsub(/[^a-z0-9]/, '')
+    end
+
+    # Same name give or take spacing and punctuation, one name extending the other,
+    # or near-identical spelling
+    def venues_match?(a, b)
+      venue_a = normalize_venue(a)
+      venue_b = normalize_venue(b)
+      return false if venue_a.empty? || venue_b.empty?
+      return true if venue_a == venue_b
+
+      shorter, longer = [venue_a, venue_b].sort_by(&:length)
+      return true if shorter.length >= MIN_PREFIX_LENGTH && longer.start_with?(shorter)
+
+      similarity(venue_a, venue_b) >= MIN_VENUE_SIMILARITY
+    end
+
+    # Dice coefficient of character pairs, 0 to 1
+    def similarity(a, b)
+      pairs_a = a.chars.each_cons(2).map(&:join).tally
+      pairs_b = b.chars.each_cons(2).map(&:join).tally
+      total = [a.length - 1, 0].max + [b.length - 1, 0].max
+      return 0 if total.zero?
+
+      shared = pairs_a.sum { |pair, count| [count, pairs_b.fetch(pair, 0)].min }
+      2.0 * shared / total
+    end
+
+    # Highest confidence, then the report that says when it ends, then the one with
+    # coordinates; otherwise the earliest
+    def pick_kept(group)
+      score = lambda do |event|
+        [
+          Float(event['confidence'], exception: false) || -1,
+          event['end_ts'].to_s.empty? ? 0 : 1,
+          coordinates(event) ? 1 : 0
+        ]
+      end
+
+      group.reduce { |best, event| (score.call(event) <=> score.call(best)) == 1 ? event : best }
+    end
+
+    # [lat, lng], or nil when either is missing or zeroed (EventStore.toCoordinate)
+    def coordinates(event)
+      lat = event['lat'].to_f
+      lng = event['lng'].to_f
+      lat.zero? || lng.zero? ? nil : [lat, lng]
+    end
+
+    # Miles between [lat, lng] pairs (haversine, as calculateDistance in main.js)
+    def miles_between(a, b)
+      to_rad = Math::PI / 180
+      d_lat = (b[0] - a[0]) * to_rad
+      d_lng = (b[1] - a[1]) * to_rad
+      h = Math.sin(d_lat / 2)**2 + Math.cos(a[0] * to_rad) * Math.cos(b[0] * to_rad) * Math.sin(d_lng / 2)**2
+      2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h))
+    end
+  end
+end
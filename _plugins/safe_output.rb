@@ -0,0 +1,33 @@
+module Jekyll
+  # Filters for putting scraped event data (venue names, addresses, source
+  # links) into pages without letting it break out of its context.
+  module SafeOutputFilters
+    # Also callable on the module (SafeOutputFilters.safe_url) for output built
+    # outside templates, like the calendar feeds
+    extend self
+
+    # jsonify that is also safe inside a <script> element: <, > and & become
+    # \u escapes so a value can't close the tag, and so do U+2028/U+2029.
+    def safe_jsonify(input)
+      jsonify(input)
+        .gsub('<', '\u003c')
+        .gsub('>', '\u003e')
+        .gsub('&', '\u0026')
+        .gsub("\u2028", '\u2028')
+        .gsub("\u2029", '\u2029')
+    end
+
+    # The URL when it's http(s) with a host, otherwise an empty string
+    # (javascript:, data:, protocol-relative and the like never make it into
+    # an href). Quotes, angle brackets and whitespace are percent-encoded, as
+    # a browser would, so the URL can't end the attribute it's written into.
+    def safe_url(input)
+      url = input.to_s.strip
+      return '' unless url.match?(%r{\Ahttps?://[^/\\\s]}i)
+
+      url.gsub(/["'<>`\s]/) { |char| format('%%%02X', char.ord) }
+    end
+  end
+end
+
+Liquid::Template.register_filter(Jekyll::SafeOutputFilters)
@@ -0,0 +1,25 @@
+module Jekyll
+  # Builds a subscribable iCalendar feed per truck at /calendars/<slug>.ics
+  # (the feed itself comes from calendar_feed.rb), with duplicate reports merged
+  class TruckCalendars < Generator
+    safe true
+    priority :low
+
+    def generate(site)
+      trucks = site.data['trucks'] || []
+
+      trucks.each do |truck|
+        next unless truck['slug'] && !truck['slug'].empty?
+
+        page = PageWithoutAFile.new(site, site.source, 'calendars', "#{truck['slug']}.ics")
+        page.content = CalendarFeed.build(truck['name'], EventDedup.merge(truck['events'] || []), site.time)
+        page.data['layout'] = nil
+        page.data['render_with_liquid'] = false
+        page.data['sitemap'] = false
+        site.pages << page
+      end
+
+      Jekyll.logger.info 'Truck calendars:', "#{trucks.length} feeds"
+    end
+  end
+end
@@ -0,0 +1,36 @@
+module Jekyll
+  # Adds a page per truck to the trucks collection (/trucks/<slug>/) from
+  # _data/trucks.json, so every truck in the directory links somewhere.
+  # The truck layout comes from the collection's front matter defaults, and a
+  # truck that already has a document in _trucks/ keeps it.
+  class TruckPages < Generator
+    safe true
+    priority :normal
+
+    def generate(site)
+      collection = site.collections['trucks']
+      return unless collection
+
+      existing = collection.docs.map { |doc| doc.data['name'] }
+      trucks = (site.data['trucks'] || []).reject do |truck|
+        truck['slug'].to_s.empty? || existing.include?(truck['name'])
+      end
+
+      trucks.each do |truck|
+        doc = Document.new(File.join(collection.directory, "#{truck['slug']}.html"), site: site, collection: collection)
+        doc.merge_data!(site.frontmatter_defaults.all(doc.relative_path, collection.label.to_sym), source: 'front matter defaults')
+        doc.merge_data!({
+          'title' => truck['name'],
+          'name' => truck['name'],
+          'slug' => truck['slug'],
+          'total_events' => truck['total_events'],
+          'last_seen' => truck['last_seen']
+        }, source: '_data/trucks.json')
+        doc.content = ''
+        collection.docs << doc
+      end
+
+      Jekyll.logger.info 'Truck pages:', "#{trucks.length} pages"
+    end
+  end
+end
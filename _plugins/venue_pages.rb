@@ -0,0 +1,191 @@
+require 'time'
+
+module Jekyll
+  # Derives venues from _data/events.json and adds a page per venue to the
+  # venues collection (/venues/<slug>/), with a subscribable feed of its stops
+  # at /calendars/venues/<slug>.ics.
+  #
+  # Duplicate reports of a stop are merged first (event_dedup.rb), so a venue
+  # counts each stop once. Reports are then grouped by venue name, normalized
+  # the way event-dedup.js does ("SouthSide Works" and "South Side Works" are
+  # one name), then split by coordinates so two places sharing a name stay
+  # apart - unless they give the same address, since geocodes of the same
+  # place can land a few miles off.
+  # Names where one extends the other ("7500 Brooktree Rd" / "7500 Brooktree
+  # Rd Wexford") are joined when they're pinned to the same spot.
+  #
+  # The venues also go in site.data['venues'] for the directory (/venues/).
+  class VenuePages < Generator
+    safe true
+    priority :normal
+
+    # Reports of one name further apart than this are different venues
+    MAX_DISTANCE_MILES = 2
+
+    # Names where one extends the other are one venue this close together
+    SAME_SPOT_MILES = 0.05
+    MIN_PREFIX_LENGTH = 6
+
+    # Same as SERVICE_AREA_MILES in main.js - further out is a bad geocode
+    SERVICE_AREA_MILES = 100
+
+    def generate(site)
+      center = site.config.dig('google_maps', 'default_center') || {}
+      @center = [center['lat'].to_f, center['lng'].to_f]
+
+      events = EventDedup.merge(site.data['events'] || []).select { |event| event['start_ts'] && !event['venue'].to_s.strip.empty? }
+      truck_slugs = (site.data['trucks'] || []).each_with_object({}) { |truck, slugs| slugs[truck['name']] = truck['slug'] }
+
+      venues = assign_slugs(group_events(events).map { |group| build_venue(group, truck_slugs) })
+      site.data['venues'] = venues.map { |venue| venue.reject { |key, _| key == 'events' } }
+
+      collection = site.collections['venues']
+      venues.each do |venue|
+        add_page(site, collection, venue) if collection
+        add_calendar(site, venue)
+      end
+
+      Jekyll.logger.info 'Venue pages:', "#{venues.length} venues from #{events.length} events"
+    end
+
+    private
+
+    # Lists of events, one per venue
+    def group_events(events)
+      by_name = events.group_by { |event| normalize_name(event['venue']) }
+      by_name.delete('')
+
+      groups = by_name.values.flat_map do |named|
+        located, unlocated = named.partition { |event| coordinates(event) }
+        located.select! { |event| distance(coordinates(event), @center) <= SERVICE_AREA_MILES } unless @center.include?(0.0)
+
+        clusters = []
+        located.each do |event|
+          cluster = clusters.find do |other|
+            distance(coordinates(other.first), coordinates(event)) <= MAX_DISTANCE_MILES ||
+              other.any? { |report| same_address?(report, event) }
+          end
+          cluster ? cluster << event : clusters << [event]
+        end
+
+        # Without coordinates a report can only go by its name: the busiest spot of that name
+        unless unlocated.empty?
+          busiest = clusters.max_by(&:length)
+          busiest ? busiest.concat(unlocated) : clusters << unlocated
+        end
+        clusters
+      end
+
+      merge_same_spot(groups)
+    end
+
+    def merge_same_spot(groups)
+      merged = []
+      groups.sort_by { |group| -group.length }.each do |group|
+        target = merged.find { |other| same_spot?(other, group) }
+        target ? target.concat(group) : merged << group
+      end
+      merged
+    end
+
+    def same_spot?(a, b)
+      spot_a = a.map { |event| coordinates(event) }.compact.first
+      spot_b = b.map { |event| coordinates(event) }.compact.first
+      return false unless spot_a && spot_b && distance(spot_a, spot_b) <= SAME_SPOT_MILES
+
+      shorter, longer = [normalize_name(a.first['venue']), normalize_name(b.first['venue'])].sort_by(&:length)
+      shorter.length >= MIN_PREFIX_LENGTH && longer.start_with?(shorter)
+    end
+
+    def build_venue(events, truck_slugs)
+      events = events.sort_by { |event| event['start_ts'].to_s }
+      # The name and spot as most often reported (the shorter name on a tie),
+      # and the address given at that spot
+      name = events.map { |event| event['venue'].to_s.strip }.tally.max_by { |venue, count| [count, -venue.length] }.first
+      spot = events.map { |event| coordinates(event) }.compact.tally.max_by { |_, count| count }&.first
+      addressed = events.reverse.select { |event| !event['raw_address'].to_s.strip.empty? }
+      addressed = addressed.find { |event| coordinates(event) == spot } || addressed.first
+
+      trucks = events.group_by { |event| event['truck_name'] }.map do |truck_name, truck_events|
+        days = truck_events.map { |event| local_day(event['start_ts']) }.compact.uniq.sort
+        {
+          'name' => truck_name,
+          'slug' => truck_slugs[truck_name],
+          'visits' => days.length,
+          'last_visit' => truck_events.map { |event| event['start_ts'] }.max
+        }
+      end
+
+      {
+        'name' => name,
+        'address' => addressed && addressed['raw_address'].to_s.strip,
+        'city' => addressed && addressed['city'],
+        'lat' => spot && spot[0],
+        'lng' => spot && spot[1],
+        'total_events' => events.length,
+        'first_seen' => events.first['start_ts'],
+        'last_seen' => events.last['start_ts'],
+        'event_ids' => events.map { |event| event['id'] },
+        'trucks' => trucks.sort_by { |truck| [-truck['visits'], truck['name'].to_s.downcase] },
+        'events' => events
+      }
+    end
+
+    # Slugs from the name; a second venue of the same name gets -2, and so on
+    def assign_slugs(venues)
+      taken = Hash.new(0)
+      venues.sort_by { |venue| [-venue['total_events'], venue['name'].downcase] }.each do |venue|
+        base = Utils.slugify(venue['name'])
+        base = 'venue' if base.empty?
+        taken[base] += 1
+        venue['slug'] = taken[base] == 1 ? base : "#{base}-#{taken[base]}"
+      end
+      venues.sort_by { |venue| venue['name'].downcase }
+    end
+
+    def add_page(site, collection, venue)
+      doc = Document.new(File.join(collection.directory, "#{venue['slug']}.html"), site: site, collection: collection)
+      doc.merge_data!(site.frontmatter_defaults.all(doc.relative_path, collection.label.to_sym), source: 'front matter defaults')
+      doc.merge_data!(venue.merge('title' => venue['name']), source: '_data/events.json')
+      doc.content = ''
+      collection.docs << doc
+    end
+
+    def add_calendar(site, venue)
+      page = PageWithoutAFile.new(site, site.source, 'calendars/venues', "#{venue['slug']}.ics")
+      page.content = CalendarFeed.build(venue['name'], venue['events'], site.time)
+      page.data['layout'] = nil
+      page.data['render_with_liquid'] = false
+      page.data['sitemap'] = false
+      site.pages << page
+    end
+
+    def normalize_name(name)
+      EventDedup.normalize_venue(name)
+    end
+
+    def same_address?(a, b)
+      address = normalize_name(a['raw_address'])
+      !address.empty? && address == normalize_name(b['raw_address'])
+    end
+
+    # [lat, lng], or nil when missing, zeroed or the map's default center
+    # (where the scraper pins stops it could only place in "Pittsburgh")
+    def coordinates(event)
+      lat = event['lat'].to_f
+      lng = event['lng'].to_f
+      lat.zero? || lng.zero? || [lat, lng] == @center ? nil : [lat, lng]
+    end
+
+    def distance(a, b)
+      EventDedup.miles_between(a, b)
+    end
+
+    # The event's date in the site's timezone (Jekyll sets TZ from _config.yml)
+    def local_day(value)
+      Time.parse(value.to_s).localtime.strftime('%Y-%m-%d')
+    rescue ArgumentError
+      nil
+    end
+  end
+end
@@ -0,0 +1,361 @@
+// Calendar view (home page) - the filtered events as a week grid (days × hours)
+// or a month grid, in place of the list. Each truck has its own color, events
+// that overlap sit side by side, and clicking an event shows it on the map.
+class CalendarView {
+  constructor(app, formatter = getEventTimeFormatter()) {
+    this.app = app;
+    this.formatter = formatter;
+    this.view = 'list';
+    // The day (see EventTimeFormatter.getParts) the week or month is built around
+    this.anchorDay = null;
+    this.truckColors = new Map();
+  }
+  
+  init() {
+    document.querySelectorAll('[data-events-view]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.setView(button.dataset.eventsView);
+        this.app.updateUrl(true);
+      });
+    });
+    
+    const step = (direction) => {
+      this.anchorDay = this.view === 'month'
+        ? this.getMonthStart(this.anchorDay, direction)
+        : this.anchorDay + 7 * direction;
+      this.render();
+    };
+    
+    const prev = document.getElementById('calendar-prev');
+    const next = document.getElementById('calendar-next');
+    const today = document.getElementById('calendar-today');
+    if (prev) prev.addEventListener('click', () => step(-1));
+    if (next) next.addEventListener('click', () => step(1));
+    if (today) {
+      today.addEventListener('click', () => {
+        this.anchorDay = this.formatter.getParts(new Date()).dayNumber;
+        this.render();
+      });
+    }
+    
+    const grid = document.getElementById('calendar-grid');
+    if (grid) {
+      grid.addEventListener('click', (e) => {
+        const eventButton = e.target.closest('[data-calendar-entry-id]');
+        const dayButton = e.target.closest('[data-calendar-day]');
+        
+        if (eventButton) {
+          const event = this.app.store.get(eventButton.dataset.calendarEntryId);
+          if (event) {
+            this.app.showEventOnMap(event);
+          }
+        } else if (dayButton) {
+          // "+2 more" in the month grid opens that day's week
+          this.anchorDay = Number(dayButton.dataset.calendarDay);
+          this.setView('week');
+          this.app.updateUrl(true);
+        }
+      });
+    }
+  }
+  
+  // 'list', 'week' or 'month'
+  setView(view) {
+    this.view = CalendarView.VIEWS.includes(view) ? view : 'list';
+    
+    document.querySelectorAll('[data-events-view]').forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.eventsView === this.view));
+    });
+    
+    const list = document.getElementById('events-list');
+    const calendar = document.getElementById('events-calendar');
+    if (list) list.hidden = this.view !== 'list';
+    if (calendar) calendar.hidden = this.view === 'list';
+    
+    this.render();
+  }
+  
+  // Events that pass the list filters and have a start time
+  getEvents() {
+    const visibleIds = this.app.visibleEventIds;
+    return this.app.events.filter(event => event.start_ts && (!visibleIds || visibleIds.has(event.id)));
+  }
+  
+  // Open on the next event that hasn't ended, else the last one, else today
+  getDefaultDay(events, now = Date.now()) {
+    const next = events.find(event => EventStore.getStatus(event, now) !== 'ended') || events[events.length - 1];
+    return this.formatter.getParts(next ? next.start_ts : new Date(now)).dayNumber;
+  }
+  
+  // Colors follow the trucks' alphabetical order, so they stay put as filters change
+  getTruckColor(truckName) {
+    if (!this.truckColors.has(truckName)) {
+      const names = Array.from(new Set(this.app.events.map(event => event.truck_name).concat(truckName))).sort();
+      this.truckColors = new Map(names.map((name, index) => [name, CalendarView.TRUCK_COLORS[index % CalendarView.TRUCK_COLORS.length]]));
+    }
+    return this.truckColors.get(truckName);
+  }
+  
+  // Monday on or before a day (day 0, Jan 1 1970, was a Thursday)
+  getWeekStart(dayNumber) {
+    return dayNumber - ((dayNumber + 3) % 7);
+  }
+  
+  // The first day of the month holding dayNumber, moved by offset months
+  getMonthStart(dayNumber, offset = 0) {
+    const date = new Date(dayNumber * 86400000);
+    return Math.floor(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset, 1) / 86400000);
+  }
+  
+  formatDay(dayNumber, options) {
+    return new Date(dayNumber * 86400000).toLocaleDateString('en-US', Object.assign({ timeZone: 'UTC' }, options));
+  }
+  
+  // Start and end as minutes into the start day; late-night events stop at midnight
+  getMinutes(event) {
+    const start = this.formatter.getParts(event.start_ts);
+    const end = this.formatter.getParts(new Date(EventStore.endTime(event)));
+    const startMinutes = start.hour * 60 + start.minute;
+    const endMinutes = end.dayNumber > start.dayNumber ? 24 * 60 : end.hour * 60 + end.minute;
+    
+    return {
+      dayNumber: start.dayNumber,
+      start: startMinutes,
+      end: Math.max(endMinutes, startMinutes + CalendarView.MIN_EVENT_MINUTES)
+    };
+  }
+  
+  // Overlapping events share the day's width: each gets a column within its
+  // group of overlaps, and the group's column count
+  layoutDay(items) {
+    const sorted = items.slice().sort((a, b) => a.start - b.start || b.end - a.end);
+    let group = [];
+    let columnEnds = [];
+    let groupEnd = -1;
+    
+    const closeGroup = () => {
+      group.forEach(item => {
+        item.columns = columnEnds.length;
+      });
+      group = [];
+      columnEnds = [];
+    };
+    
+    sorted.forEach(item => {
+      if (item.start >= groupEnd) {
+        closeGroup();
+      }
+      
+      let column = columnEnds.findIndex(end => end <= item.start);
+      if (column === -1) {
+        column = columnEnds.length;
+        columnEnds.push(item.end);
+      } else {
+        columnEnds[column] = item.end;
+      }
+      
+      item.column = column;
+      group.push(item);
+      groupEnd = Math.max(groupEnd, item.end);
+    });
+    closeGroup();
+    
+    return sorted;
+  }
+  
+  render() {
+    if (this.view === 'list') return;
+    
+    const grid = document.getElementById('calendar-grid');
+    if (!grid) return;
+    
+    const events = this.getEvents();
+    if (this.anchorDay === null) {
+      this.anchorDay = this.getDefaultDay(events);
+    }
+    
+    const range = this.view === 'week' ? this.renderWeek(grid, events) : this.renderMonth(grid, events);
+    
+    const title = document.getElementById('calendar-title');
+    if (title) {
+      title.textContent = range.title;
+    }
+    
+    const unit = this.view === 'week' ? 'week' : 'month';
+    const prev = document.getElementById('calendar-prev');
+    const next = document.getElementById('calendar-next');
+    if (prev) prev.setAttribute('aria-label', `Previous ${unit}`);
+    if (next) next.setAttribute('aria-label', `Next ${unit}`);
+    
+    const empty = document.getElementById('calendar-empty');
+    if (empty) {
+      empty.hidden = range.events.length > 0;
+      empty.textContent = `No events this ${unit}. Try another ${unit}, or widen your filters.`;
+    }
+    
+    this.renderLegend(range.events);
+    this.markSelected(this.app.selectedEventId);
+  }
+  
+  renderWeek(grid, events) {
+    const weekStart = this.getWeekStart(this.anchorDay);
+    const today = this.formatter.getParts(new Date()).dayNumber;
+    const days = Array.from({ length: 7 }, (_, offset) => ({ dayNumber: weekStart + offset, items: [] }));
+    const weekEvents = [];
+    
+    events.forEach(event => {
+      const minutes = this.getMinutes(event);
+      const day = days[minutes.dayNumber - weekStart];
+      if (!day) return;
+      
+      day.items.push(Object.assign({ event: event }, minutes));
+      weekEvents.push(event);
+    });
+    
+    // Hours shown: the usual day, stretched to fit early or late events
+    let firstHour = CalendarView.DAY_START_HOUR;
+    let lastHour = CalendarView.DAY_END_HOUR;
+    days.forEach(day => day.items.forEach(item => {
+      firstHour = Math.min(firstHour, Math.floor(item.start / 60));
+      lastHour = Math.max(lastHour, Math.ceil(item.end / 60));
+    }));
+    const hours = Array.from({ length: lastHour - firstHour }, (_, index) => firstHour + index);
+    const span = (lastHour - firstHour) * 60;
+    
+    renderHtml(grid, html`
+      <div class="calendar__week" style="--calendar-hours: ${hours.length}">
+        <div class="calendar__corner"></div>
+        ${days.map(day => html`
+          <div class="calendar__day-header${day.dayNumber === today ? ' calendar__day-header--today' : ''}">
+            ${this.formatDay(day.dayNumber, { weekday: 'short' })}
+            <span class="calendar__day-date">${this.formatDay(day.dayNumber, { day: 'numeric' })}</span>
+          </div>
+        `)}
+        <div class="calendar__hours">
+          ${hours.map(hour => html`<span class="calendar__hour">${this.formatter.formatClock({ hour: hour, minute: 0 })}</span>`)}
+        </div>
+        ${days.map(day => html`
+          <div class="calendar__day${day.dayNumber === today ? ' calendar__day--today' : ''}">
+            ${this.layoutDay(day.items).map(item => {
+              const top = (item.start - firstHour * 60) / span * 100;
+              const height = (item.end - item.start) / span * 100;
+              return this.renderEvent(item.event, 'calendar__event--timed',
+                `top: ${top}%; height: ${height}%; left: ${item.column / item.columns * 100}%; width: ${100 / item.columns}%;`);
+            })}
+          </div>
+        `)}
+      </div>
+    `);
+    
+    const weekEnd = weekStart + 6;
+    return {
+      events: weekEvents,
+      title: `${this.formatDay(weekStart, { month: 'short', day: 'numeric' })} – ${this.formatDay(weekEnd, { month: 'short', day: 'numeric', year: 'numeric' })}`
+    };
+  }
+  
+  renderMonth(grid, events) {
+    const monthStart = this.getMonthStart(this.anchorDay);
+    const monthEnd = this.getMonthStart(this.anchorDay, 1) - 1;
+    const gridStart = this.getWeekStart(monthStart);
+    const gridEnd = this.getWeekStart(monthEnd) + 6;
+    const today = this.formatter.getParts(new Date()).dayNumber;
+    
+    const days = new Map();
+    for (let dayNumber = gridStart; dayNumber <= gridEnd; dayNumber++) {
+      days.set(dayNumber, []);
+    }
+    
+    const monthEvents = [];
+    events.forEach(event => {
+      const dayNumber = this.formatter.getParts(event.start_ts).dayNumber;
+      if (!days.has(dayNumber)) return;
+      
+      days.get(dayNumber).push(event);
+      if (dayNumber >= monthStart && dayNumber <= monthEnd) {
+        monthEvents.push(event);
+      }
+    });
+    
+    renderHtml(grid, html`
+      <div class="calendar__month">
+        ${Array.from({ length: 7 }, (_, offset) => html`
+          <div class="calendar__weekday">${this.formatDay(gridStart + offset, { weekday: 'short' })}</div>
+        `)}
+        ${Array.from(days.entries()).map(([dayNumber, dayEvents]) => {
+          const classes = ['calendar__cell'];
+          if (dayNumber < monthStart || dayNumber > monthEnd) classes.push('calendar__cell--outside');
+          if (dayNumber === today) classes.push('calendar__cell--today');
+          const hidden = dayEvents.length - CalendarView.MONTH_CELL_LIMIT;
+          
+          return html`
+            <div class="${classes.join(' ')}">
+              <span class="calendar__cell-date">${this.formatDay(dayNumber, { day: 'numeric' })}</span>
+              ${dayEvents.slice(0, hidden > 0 ? CalendarView.MONTH_CELL_LIMIT : dayEvents.length).map(event => this.renderEvent(event, 'calendar__event--chip'))}
+              ${hidden > 0 ? html`<button type="button" class="calendar__more" data-calendar-day="${dayNumber}">+${hidden} more</button>` : ''}
+            </div>
+          `;
+        })}
+      </div>
+    `);
+    
+    return {
+      events: monthEvents,
+      title: this.formatDay(monthStart, { month: 'long', year: 'numeric' })
+    };
+  }
+  
+  renderEvent(event, modifier, style = '') {
+    const time = this.formatter.formatTimeRange(event.start_ts, event.end_ts);
+    const status = this.app.getStatus(event);
+    const unconfirmed = EventStore.getConfidenceLevel(event) === 'unconfirmed';
+    
+    return html`
+      <button type="button" class="calendar__event ${modifier}${status === 'ended' ? ' calendar__event--ended' : ''}${unconfirmed ? ' calendar__event--unconfirmed' : ''}"
+              data-calendar-entry-id="${event.id}"
+              style="${style} --truck-color: ${this.getTruckColor(event.truck_name)};"
+              title="${event.truck_name} at ${event.venue}, ${time}${unconfirmed ? ' (unconfirmed)' : ''}">
+        <span class="calendar__event-time">${time}</span>
+        <span class="calendar__event-truck">${event.truck_name}</span>
+      </button>
+    `;
+  }
+  
+  // Trucks in the current week or month, with their colors
+  renderLegend(events) {
+    const legend = document.getElementById('calendar-legend');
+    if (!legend) return;
+    
+    const names = Array.from(new Set(events.map(event => event.truck_name))).sort();
+    renderHtml(legend, names.map(name => html`
+      <li class="calendar__legend-item">
+        <span class="calendar__swatch" style="--truck-color: ${this.getTruckColor(name)};"></span>
+        ${name}
+      </li>
+    `));
+  }
+  
+  markSelected(eventId) {
+    document.querySelectorAll('[data-calendar-entry-id]').forEach(button => {
+      button.classList.toggle('calendar__event--selected', button.dataset.calendarEntryId === String(eventId));
+    });
+  }
+}
+
+CalendarView.VIEWS = ['list', 'week', 'month'];
+
+// Week grid hours before events stretch it (10 AM to 9 PM)
+CalendarView.DAY_START_HOUR = 10;
+CalendarView.DAY_END_HOUR = 21;
+
+// Short events still get a block tall enough to read
+CalendarView.MIN_EVENT_MINUTES = 45;
+
+// Events listed in a month cell before "+N more"
+CalendarView.MONTH_CELL_LIMIT = 3;
+
+// One per truck, dark enough for white text
+CalendarView.TRUCK_COLORS = [
+  '#3981c4', '#d1495b', '#2a9d8f', '#8e5cc4', '#e07a1f',
+  '#4f772d', '#c2418a', '#00798c', '#8d6346', '#5c6bc0'
+];
@@ -0,0 +1,522 @@
+// Crawl planner - pick several stops into a "crawl" and get an order to visit
+// them in. Every stop has to be reached while its truck is there (between
+// EventStore.startTime and endTime, leaving time for a visit); of the orders that
+// miss the fewest, the shortest by calculateDistance wins. Travel times are
+// estimates from straight-line miles, so the plan is a guide - the exported
+// Google Maps directions have the real roads.
+// The picked stops live in localStorage; any element with data-crawl-event-id is
+// an add/remove button for that event. The tray and the route on the map are on
+// the home page (FoodTruckApp.setupCrawl).
+class CrawlPlanner {
+  constructor(store, storageKey = 'pghFoodTrucks.crawl', formatter = getEventTimeFormatter()) {
+    this.store = store;
+    this.storageKey = storageKey;
+    this.formatter = formatter;
+    this.persistent = true;
+    this.eventIds = this.load();
+    // Where the crawl sets out from ({ lat, lng, label }), or null for wherever the visitor is
+    this.origin = null;
+    this.map = null;
+    this.routeLine = null;
+    this.routeStops = [];
+    // The last planned order and what it was planned for (getPlan)
+    this.planned = null;
+    
+    this.prune();
+    
+    // Live refresh can move or drop stops; replan with the new times
+    this.store.subscribe(() => {
+      this.syncButtons();
+      this.render();
+    });
+  }
+  
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey));
+      return Array.isArray(saved) ? saved.filter(id => typeof id === 'string') : [];
+    } catch (error) {
+      console.warn('Could not read the crawl:', error);
+      this.persistent = false;
+      return [];
+    }
+  }
+  
+  save() {
+    if (!this.persistent) return;
+    
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.eventIds));
+    } catch (error) {
+      console.warn('Could not save the crawl - it will only last for this page:', error);
+      this.persistent = false;
+    }
+  }
+  
+  // The crawl's events from the store, in the order they were added. A merged
+  // duplicate (event-dedup.js) stands for the report it was merged into.
+  all() {
+    const events = this.eventIds.map(id => this.store.get(id)).filter(Boolean);
+    return Array.from(new Set(events));
+  }
+  
+  has(eventId) {
+    const event = this.store.get(eventId);
+    return !!event && this.all().includes(event);
+  }
+  
+  size() {
+    return this.all().length;
+  }
+  
+  isFull() {
+    return this.size() >= CrawlPlanner.MAX_STOPS;
+  }
+  
+  // Only stops with coordinates can be routed; returns whether the event is in the crawl
+  add(eventId) {
+    const event = this.store.get(eventId);
+    if (!event || event.lat === null || event.lng === null) {
+      console.warn(`Event ${eventId} has no location - it can't join the crawl`);
+      return false;
+    }
+    if (this.has(event.id)) return true;
+    if (this.isFull()) {
+      console.warn(`A crawl holds up to ${CrawlPlanner.MAX_STOPS} stops`);
+      return false;
+    }
+    
+    this.eventIds.push(event.id);
+    this.update();
+    return true;
+  }
+  
+  remove(eventId) {
+    const event = this.store.get(eventId);
+    const id = event ? event.id : String(eventId);
+    this.eventIds = this.eventIds.filter(other => other !== id && other !== String(eventId));
+    this.update();
+  }
+  
+  toggle(eventId) {
+    if (this.has(eventId)) {
+      this.remove(eventId);
+    } else {
+      this.add(eventId);
+    }
+  }
+  
+  clear() {
+    this.eventIds = [];
+    this.update();
+  }
+  
+  setOrigin(origin) {
+    this.origin = origin ? { lat: origin.lat, lng: origin.lng, label: origin.label } : null;
+    this.render();
+  }
+  
+  update() {
+    this.save();
+    this.syncButtons();
+    this.render();
+  }
+  
+  // Drop stops that are off the schedule, or ended more than CrawlPlanner.KEEP_AFTER_END_MS ago
+  prune(now = Date.now()) {
+    const kept = this.all()
+      .filter(event => now - EventStore.endTime(event) < CrawlPlanner.KEEP_AFTER_END_MS)
+      .map(event => event.id);
+    
+    if (kept.length !== this.eventIds.length || kept.some((id, index) => id !== this.eventIds[index])) {
+      this.eventIds = kept;
+      this.save();
+    }
+  }
+  
+  // ---- Planning ----
+  
+  // The order to visit events in (each with coordinates and a start time).
+  // options: start (ms, when the crawl sets out - default now), origin ({ lat, lng },
+  // or null to set out from the first stop) and distance(a, b) in miles (default
+  // calculateDistance). Returns { stops, miles, late }: each stop is { event, miles
+  // (from the previous stop or the origin), arrive, wait, leave, late } with times in ms.
+  // Every order is tried, which MAX_STOPS keeps quick.
+  static plan(events, options = {}) {
+    const { start, origin, distance } = CrawlPlanner.getPlanOptions(options);
+    
+    // In time order first, so of equally good plans the chronological one is kept
+    const candidates = events
+      .filter(event => !Number.isNaN(EventStore.startTime(event)))
+      .sort((a, b) => EventStore.startTime(a) - EventStore.startTime(b));
+    
+    let best = null;
+    const search = (from, time, route, remaining) => {
+      if (best && (route.late > best.late || (route.late === best.late && route.miles >= best.miles))) return;
+      if (remaining.length === 0) {
+        best = route;
+        return;
+      }
+      
+      remaining.forEach((event, index) => {
+        const stop = CrawlPlanner.visit(event, from, time, distance);
+        search(event, stop.leave, {
+          stops: route.stops.concat(stop),
+          miles: route.miles + stop.miles,
+          late: route.late + (stop.late ? 1 : 0)
+        }, remaining.filter((_, i) => i !== index));
+      });
+    };
+    
+    search(origin, start, { stops: [], miles: 0, late: 0 }, candidates);
+    return best;
+  }
+  
+  // Visiting events in the order given, with plan's options and result
+  static follow(events, options = {}) {
+    const { start, origin, distance } = CrawlPlanner.getPlanOptions(options);
+    
+    let from = origin;
+    let time = start;
+    return events.reduce((route, event) => {
+      const stop = CrawlPlanner.visit(event, from, time, distance);
+      from = event;
+      time = stop.leave;
+      return {
+        stops: route.stops.concat(stop),
+        miles: route.miles + stop.miles,
+        late: route.late + (stop.late ? 1 : 0)
+      };
+    }, { stops: [], miles: 0, late: 0 });
+  }
+  
+  static getPlanOptions(options) {
+    return {
+      start: options.start === undefined ? Date.now() : options.start,
+      origin: options.origin || null,
+      distance: options.distance || ((a, b) => calculateDistance(a.lat, a.lng, b.lat, b.lng))
+    };
+  }
+  
+  // Getting to event from the previous position (null: already there) at time.
+  // Early arrivals wait for the truck to open; a stop is late when there isn't
+  // CrawlPlanner.VISIT_MS left before it leaves, and then it's passed by, not visited.
+  static visit(event, from, time, distance) {
+    const opens = EventStore.startTime(event);
+    const closes = EventStore.endTime(event);
+    const miles = from ? distance(from, event) : 0;
+    
+    const reach = from ? time + CrawlPlanner.getTravelTime(miles) : Math.max(time, opens);
+    const arrive = Math.max(reach, opens);
+    const late = arrive + CrawlPlanner.VISIT_MS > closes;
+    
+    return {
+      event: event,
+      miles: miles,
+      arrive: arrive,
+      wait: arrive - reach,
+      leave: late ? arrive : arrive + CrawlPlanner.VISIT_MS,
+      late: late
+    };
+  }
+  
+  // Straight-line miles to an estimated drive, in ms
+  static getTravelTime(miles) {
+    return Math.round(miles * CrawlPlanner.ROAD_FACTOR / CrawlPlanner.AVERAGE_SPEED_MPH * 60 * 60 * 1000);
+  }
+  
+  // Trying every order is slow enough to notice, and the crawl re-renders on every
+  // status tick, so the best order is kept until the stops (or their times and
+  // places), the origin or the CrawlPlanner.REPLAN_MS window change. Times along
+  // it are always worked out from now.
+  getPlan(now = Date.now()) {
+    const events = this.all();
+    const key = JSON.stringify([
+      events.map(event => [event.id, event.start_ts, event.end_ts, event.lat, event.lng]),
+      this.origin ? [this.origin.lat, this.origin.lng] : null,
+      Math.floor(now / CrawlPlanner.REPLAN_MS)
+    ]);
+    
+    if (!this.planned || this.planned.key !== key) {
+      const plan = CrawlPlanner.plan(events, { start: now, origin: this.origin });
+      this.planned = { key: key, order: plan.stops.map(stop => stop.event) };
+    }
+    return CrawlPlanner.follow(this.planned.order, { start: now, origin: this.origin });
+  }
+  
+  // Google Maps directions through the stops in the planned order
+  getDirectionsUrl(plan) {
+    return getRouteDirectionsUrl(plan.stops.map(stop => stop.event), this.origin);
+  }
+  
+  // ---- Buttons ----
+  
+  // How an event's button looks: ended stops can't be added, and nothing can once the crawl is full
+  getButtonState(eventId, now = Date.now()) {
+    const event = this.store.get(eventId);
+    const inCrawl = this.has(eventId);
+    const full = this.isFull();
+    
+    return {
+      inCrawl: inCrawl,
+      hidden: !inCrawl && (!event || EventStore.getStatus(event, now) === 'ended'),
+      disabled: !inCrawl && full,
+      text: inCrawl ? '✓ In crawl' : '＋ Crawl',
+      title: inCrawl
+        ? 'Remove from your crawl'
+        : (full ? `Your crawl is full (${CrawlPlanner.MAX_STOPS} stops)` : 'Add to your crawl')
+    };
+  }
+  
+  // Button markup (an html`` fragment) for places that build HTML, e.g. info windows
+  renderButton(eventId, className = 'btn btn--small btn--secondary btn--pill') {
+    const state = this.getButtonState(eventId);
+    return html`<button type="button" class="${className}" data-crawl-event-id="${eventId}" aria-pressed="${String(state.inCrawl)}" title="${state.title}"${state.hidden ? html` hidden` : ''}${state.disabled ? html` disabled` : ''}>${state.text}</button>`;
+  }
+  
+  syncButtons(root = document, now = Date.now()) {
+    root.querySelectorAll('[data-crawl-event-id]').forEach(button => {
+      const state = this.getButtonState(button.dataset.crawlEventId, now);
+      
+      button.hidden = state.hidden;
+      button.disabled = state.disabled;
+      button.setAttribute('aria-pressed', String(state.inCrawl));
+      button.textContent = state.text;
+      button.title = state.title;
+    });
+  }
+  
+  // ---- Tray and map ----
+  
+  // Called with each new map (a provider fallback starts over)
+  attach(map) {
+    this.clearRoute();
+    this.map = map;
+    this.render();
+  }
+  
+  formatTime(time, previous = null) {
+    const parts = this.formatter.getParts(time);
+    const clock = this.formatter.formatClock(parts);
+    const previousParts = previous === null ? null : this.formatter.getParts(previous);
+    
+    // The day only when it's not the same as the stop before
+    if (previousParts && previousParts.dayNumber === parts.dayNumber) return clock;
+    return `${this.formatter.formatDayLabel(parts)} ${clock}`;
+  }
+  
+  formatDuration(ms) {
+    const minutes = Math.max(1, Math.round(ms / 60000));
+    if (minutes < 60) return `${minutes} min`;
+    
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 === 0 ? `${hours} hr` : `${hours} hr ${minutes % 60} min`;
+  }
+  
+  formatMiles(miles) {
+    return miles < 0.1 ? 'under 0.1 mi' : `${miles.toFixed(1)} mi`;
+  }
+  
+  // Why a stop can't be made, or '' when it can
+  getWarning(stop, start) {
+    if (!stop.late) return '';
+    
+    const closes = EventStore.endTime(stop.event);
+    if (closes <= start) {
+      return `${stop.event.truck_name} has already left.`;
+    }
+    return `You'd get there at ${this.formatTime(stop.arrive)} - ${stop.event.truck_name} leaves at ${this.formatTime(closes, stop.arrive)}.`;
+  }
+  
+  getSummary(plan) {
+    const count = plan.stops.length;
+    const first = plan.stops[0];
+    const last = plan.stops[count - 1];
+    const parts = [
+      `${count} ${count === 1 ? 'stop' : 'stops'}`,
+      `about ${this.formatMiles(plan.miles)}`,
+      `${this.formatTime(first.arrive)} to ${this.formatTime(last.leave, first.arrive)}`
+    ];
+    
+    if (plan.late > 0) {
+      parts.push(`⚠️ ${plan.late} can't be reached in time`);
+    }
+    return parts.join(' · ');
+  }
+  
+  render(now = Date.now()) {
+    const tray = document.getElementById('crawl-tray');
+    const plan = this.getPlan(now);
+    
+    this.renderRoute(plan, now);
+    if (!tray) return;
+    
+    const count = plan.stops.length;
+    tray.hidden = count === 0;
+    
+    const countElement = document.getElementById('crawl-count');
+    if (countElement) {
+      countElement.textContent = count;
+    }
+    
+    const summary = document.getElementById('crawl-summary');
+    if (summary) {
+      summary.textContent = count > 0 ? this.getSummary(plan) : '';
+    }
+    
+    const directions = document.getElementById('crawl-directions');
+    if (directions) {
+      const url = count > 0 ? this.getDirectionsUrl(plan) : null;
+      directions.hidden = !url;
+      directions.href = url || '#';
+    }
+    
+    const list = document.getElementById('crawl-stops');
+    if (!list) return;
+    
+    renderHtml(list, plan.stops.map((stop, index) => {
+      const event = stop.event;
+      const previous = index > 0 ? plan.stops[index - 1].arrive : null;
+      const from = index === 0 ? (this.origin ? ` from ${this.origin.label}` : '') : '';
+      const warning = this.getWarning(stop, now);
+      const details = [
+        `${stop.late ? 'Reach' : 'Arrive'} ${this.formatTime(stop.arrive, previous)}`,
+        index > 0 || this.origin ? `${this.formatMiles(stop.miles)}${from}` : '',
+        stop.wait >= CrawlPlanner.MIN_WAIT_MS && (index > 0 || this.origin) ? `wait ${this.formatDuration(stop.wait)} for it to open` : '',
+        `open ${this.formatter.formatTimeRange(event.start_ts, event.end_ts)}`
+      ].filter(Boolean);
+      
+      return html`
+        <li class="crawl__stop${stop.late ? ' crawl__stop--late' : ''}">
+          <span class="crawl__number">${index + 1}</span>
+          <span class="crawl__details">
+            <strong class="crawl__truck">${event.truck_name}</strong>
+            <span class="crawl__where">${event.venue}</span>
+            <span class="crawl__time">${details.join(' · ')}</span>
+            ${warning ? html`<span class="crawl__warning">⚠️ ${warning}</span>` : ''}
+          </span>
+          <button type="button" class="crawl__remove" data-crawl-remove="${event.id}" aria-label="Remove ${event.truck_name} at ${event.venue} from the crawl">✕</button>
+        </li>
+      `;
+    }));
+  }
+  
+  // Numbered pins at each stop and a line between them, in the planned order
+  renderRoute(plan, now = Date.now()) {
+    if (!this.map) return;
+    this.clearRoute();
+    
+    const path = plan.stops.map(stop => ({ lat: stop.event.lat, lng: stop.event.lng }));
+    if (this.origin && path.length > 0) {
+      path.unshift({ lat: this.origin.lat, lng: this.origin.lng });
+    }
+    if (path.length > 1) {
+      this.routeLine = this.map.addPolyline({
+        path: path,
+        color: CrawlPlanner.ROUTE_COLOR,
+        opacity: 0.85,
+        weight: 4
+      });
+    }
+    
+    this.routeStops = plan.stops.map((stop, index) => {
+      const event = stop.event;
+      const time = this.formatTime(stop.arrive, index > 0 ? plan.stops[index - 1].arrive : null);
+      const marker = this.map.addMarker({
+        position: { lat: event.lat, lng: event.lng },
+        title: `${index + 1}. ${event.truck_name} at ${event.venue} - ${stop.late ? 'too late' : time}`,
+        zIndex: CrawlPlanner.ROUTE_Z_INDEX + index,
+        label: { text: String(index + 1), fontSize: '12px' },
+        icon: getPinIcon(MARKER_HIGHLIGHT_STYLE.scale)
+      });
+      
+      const infoWindow = this.map.createInfoWindow();
+      const warning = this.getWarning(stop, now);
+      infoWindow.setContent(html`
+        <div class="map-info">
+          <h3 class="map-info__title">${index + 1}. ${event.truck_name}</h3>
+          <p class="map-info__venue">${event.venue}</p>
+          <p class="map-info__datetime">🕑 ${stop.late ? 'Reach' : 'Arrive'} ${time} · open ${this.formatter.formatTimeRange(event.start_ts, event.end_ts)}</p>
+          ${warning ? html`<p class="map-info__warning">⚠️ ${warning}</p>` : ''}
+        </div>
+      `);
+      marker.on('click', () => infoWindow.open(marker));
+      
+      return { marker: marker, infoWindow: infoWindow };
+    });
+  }
+  
+  clearRoute() {
+    if (this.routeLine) {
+      this.routeLine.remove();
+      this.routeLine = null;
+    }
+    this.routeStops.forEach(stop => {
+      stop.infoWindow.close();
+      stop.marker.remove();
+    });
+    this.routeStops = [];
+  }
+  
+  fitRoute() {
+    if (!this.map || this.routeStops.length === 0) return;
+    this.map.fitBounds(this.routeStops.map(stop => stop.marker.getPosition()));
+  }
+}
+
+// The most stops in a crawl: every order is tried, and Google's directions links
+// take up to 9 waypoints before the destination
+CrawlPlanner.MAX_STOPS = 8;
+
+// How long a planned order is kept before the stops are reordered for the time
+CrawlPlanner.REPLAN_MS = 5 * 60 * 1000;
+
+// Time spent at each stop, and the shortest wait worth mentioning
+CrawlPlanner.VISIT_MS = 20 * 60 * 1000;
+CrawlPlanner.MIN_WAIT_MS = 5 * 60 * 1000;
+
+// Straight-line miles to road miles, and an average city driving speed
+CrawlPlanner.ROAD_FACTOR = 1.3;
+CrawlPlanner.AVERAGE_SPEED_MPH = 20;
+
+// Stops are kept this long after their truck leaves, then dropped
+CrawlPlanner.KEEP_AFTER_END_MS = 12 * 60 * 60 * 1000;
+
+// The route is drawn like a truck's route (initTruckMap), above the app's pins
+CrawlPlanner.ROUTE_COLOR = '#3981c4';
+CrawlPlanner.ROUTE_Z_INDEX = 2000;
+
+// Shared crawl for the page, created on first use
+function getCrawlPlanner() {
+  if (!window.crawlPlanner) {
+    window.crawlPlanner = new CrawlPlanner(getEventStore());
+  }
+  return window.crawlPlanner;
+}
+
+document.addEventListener('click', (e) => {
+  const toggle = e.target.closest('[data-crawl-event-id]');
+  const remove = e.target.closest('[data-crawl-remove]');
+  const clear = e.target.closest('#crawl-clear');
+  const fit = e.target.closest('#crawl-fit');
+  if (!toggle && !remove && !clear && !fit) return;
+  
+  e.preventDefault();
+  const crawl = getCrawlPlanner();
+  
+  if (toggle) {
+    crawl.toggle(toggle.dataset.crawlEventId);
+  } else if (remove) {
+    crawl.remove(remove.dataset.crawlRemove);
+  } else if (clear) {
+    crawl.clear();
+  } else {
+    crawl.fitRoute();
+  }
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+  const crawl = getCrawlPlanner();
+  crawl.syncButtons();
+  crawl.render();
+});
@@ -0,0 +1,150 @@
+// iCalendar (.ics) export - "Add to calendar" for single events
+// Per-truck and per-venue subscription feeds are built at build time by _plugins/calendar_feed.rb;
+// all use the same UIDs, so an event added by hand doesn't duplicate a subscribed one.
+class EventCalendar {
+  static getUid(event) {
+    return `${event.id}@${EventCalendar.UID_DOMAIN}`;
+  }
+  
+  // Text values escape backslashes, semicolons, commas and line breaks - \r\n, \n or a
+  // bare \r (RFC 5545 3.3.11)
+  static escapeText(value) {
+    return String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r\n|\r|\n/g, '\\n');
+  }
+  
+  // UTC date-time, e.g. 20250926T010502Z
+  static formatTimestamp(time) {
+    return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+  
+  // Lines longer than 75 octets continue on the next line after a space
+  static foldLine(line) {
+    const encoder = new TextEncoder();
+    const lines = [];
+    let current = '';
+    let octets = 0;
+    
+    Array.from(line).forEach(character => {
+      const size = encoder.encode(character).length;
+      if (octets + size > 75) {
+        lines.push(current);
+        current = ' ';
+        octets = 1;
+      }
+      current += character;
+      octets += size;
+    });
+    lines.push(current);
+    
+    return lines.join('\r\n');
+  }
+  
+  static buildEvent(event, stamp = Date.now()) {
+    const start = EventStore.startTime(event);
+    const location = [event.venue, event.address].filter(Boolean).join(', ');
+    const sourceUrl = safeUrl(event.source_url);
+    const description = [`${event.truck_name} at ${event.venue}`, sourceUrl ? `Source: ${sourceUrl}` : '']
+      .filter(Boolean)
+      .join('\n');
+    // An unreadable last_seen_at stamps the export time, like a missing one
+    const lastSeen = Date.parse(event.last_seen_at);
+    
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${EventCalendar.getUid(event)}`,
+      `DTSTAMP:${EventCalendar.formatTimestamp(Number.isNaN(lastSeen) ? stamp : lastSeen)}`,
+      `DTSTART:${EventCalendar.formatTimestamp(start)}`,
+      // No end_ts means the store's default duration (EventStore.endTime)
+      `DTEND:${EventCalendar.formatTimestamp(EventStore.endTime(event))}`,
+      `SUMMARY:${EventCalendar.escapeText(`${event.truck_name} at ${event.venue}`)}`,
+      `LOCATION:${EventCalendar.escapeText(location)}`,
+      `DESCRIPTION:${EventCalendar.escapeText(description)}`
+    ];
+    
+    if (event.lat !== null && event.lng !== null) {
+      lines.push(`GEO:${event.lat};${event.lng}`);
+    }
+    if (sourceUrl) {
+      lines.push(`URL:${sourceUrl}`);
+    }
+    lines.push('END:VEVENT');
+    
+    return lines;
+  }
+  
+  static build(events, options = {}) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${EventCalendar.PRODID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH'
+    ];
+    
+    if (options.name) {
+      lines.push(`X-WR-CALNAME:${EventCalendar.escapeText(options.name)}`);
+    }
+    
+    events
+      .filter(event => !Number.isNaN(EventStore.startTime(event)))
+      .forEach(event => lines.push(...EventCalendar.buildEvent(event)));
+    
+    lines.push('END:VCALENDAR');
+    return lines.map(line => EventCalendar.foldLine(line)).join('\r\n') + '\r\n';
+  }
+  
+  static getFilename(event) {
+    const slug = `${event.truck_name} ${event.venue}`
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+    return `${slug || 'event'}.ics`;
+  }
+  
+  static download(event) {
+    if (Number.isNaN(EventStore.startTime(event))) {
+      console.warn(`Event ${event.id} has no start time - nothing to add to a calendar`);
+      return;
+    }
+    
+    const blob = new Blob([EventCalendar.build([event])], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    
+    link.href = url;
+    link.download = EventCalendar.getFilename(event);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+}
+
+// Keep in step with _plugins/calendar_feed.rb
+EventCalendar.UID_DOMAIN = 'pghfoodtrucks.com';
+EventCalendar.PRODID = '-//Pittsburgh Food Trucks//Events//EN';
+
+// Any element with data-calendar-event-id - cards, info windows, event pages - downloads that event.
+// Event pages for events outside the data window fall back to their own copy (window.pageEventData).
+document.addEventListener('click', (e) => {
+  const trigger = e.target.closest('[data-calendar-event-id]');
+  if (!trigger) return;
+  
+  e.preventDefault();
+  const eventId = trigger.dataset.calendarEventId;
+  const pageEvent = window.pageEventData && String(window.pageEventData.id) === eventId
+    ? EventStore.normalize(window.pageEventData)
+    : null;
+  const event = getEventStore().get(eventId) || pageEvent;
+  if (!event) {
+    console.error(`Event ${eventId} not found for calendar export`);
+    return;
+  }
+  
+  EventCalendar.download(event);
+});
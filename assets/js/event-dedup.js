@@ -0,0 +1,163 @@
+// Event dedup - one stop is often scraped from several posts ("South Side Works"
+// and "SouthSide Works", a few hundred meters apart). Reports from the same truck
+// are merged when their times overlap, their venue names match loosely (or they're
+// pinned to the same spot) and they're close together. The most confident report
+// is kept; the rest are listed on it as also_reported. _plugins/event_dedup.rb
+// merges the same way for the calendar feeds and venue pages.
+// EventStore runs this on every setEvents, so every page sees merged events.
+// Nothing here touches the page. It depends on event-store.js for event times
+// (EventStore.startTime and endTime), looked up when merge() runs, so this file
+// can load first. merge() takes and returns plain event objects.
+class EventDedup {
+  // events are normalized (EventStore.normalize). Returns them in the same order,
+  // with each group of duplicates replaced by its kept report, which gets
+  // duplicate_ids and also_reported ({ id, venue, source_url } per merged report).
+  // distance(a, b) in miles defaults to EventDedup.distance.
+  static merge(events, options = {}) {
+    const distance = options.distance || EventDedup.distance;
+    
+    const byTruck = new Map();
+    events.forEach(event => {
+      const truck = (event.truck_name || '').toLowerCase();
+      if (!byTruck.has(truck)) {
+        byTruck.set(truck, []);
+      }
+      byTruck.get(truck).push(event);
+    });
+    
+    // Each report joins every group it duplicates; groups it bridges become one
+    const replacements = new Map();
+    byTruck.forEach(truckEvents => {
+      let groups = [];
+      
+      truckEvents.forEach(event => {
+        const matching = groups.filter(group => group.some(other => EventDedup.isDuplicate(event, other, distance)));
+        groups = groups.filter(group => !matching.includes(group));
+        groups.push([].concat(...matching, event));
+      });
+      
+      groups.filter(group => group.length > 1).forEach(group => {
+        const kept = EventDedup.pickKept(group);
+        const merged = group.filter(event => event !== kept);
+        
+        replacements.set(kept, Object.assign({}, kept, {
+          duplicate_ids: merged.map(event => event.id),
+          also_reported: merged.map(event => ({ id: event.id, venue: event.venue, source_url: event.source_url }))
+        }));
+        merged.forEach(event => replacements.set(event, null));
+      });
+    });
+    
+    return events
+      .map(event => (replacements.has(event) ? replacements.get(event) : event))
+      .filter(Boolean);
+  }
+  
+  static isDuplicate(a, b, distance) {
+    if (!EventDedup.timesOverlap(a, b)) return false;
+    
+    // Without coordinates on both, the venue names have to carry it
+    if (a.lat === null || b.lat === null) {
+      return EventDedup.venuesMatch(a.venue, b.venue);
+    }
+    
+    const miles = distance(a, b);
+    if (miles > EventDedup.MAX_DISTANCE_MILES) return false;
+    return miles <= EventDedup.SAME_SPOT_MILES || EventDedup.venuesMatch(a.venue, b.venue);
+  }
+  
+  // Miles between two events' coordinates (haversine, as calculateDistance in main.js)
+  static distance(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EventDedup.EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+  }
+  
+  // Open-ended reports run EventStore.DEFAULT_DURATION_MS, as everywhere else
+  static timesOverlap(a, b) {
+    const startA = EventStore.startTime(a);
+    const startB = EventStore.startTime(b);
+    if (Number.isNaN(startA) || Number.isNaN(startB)) return false;
+    
+    return startA < EventStore.endTime(b) && startB < EventStore.endTime(a);
+  }
+  
+  // "SouthSide Works" -> "southsideworks"
+  static normalizeVenue(venue) {
+    return (venue || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/&/g, 'and')
+      .replace(/[^a-z0-9]/g, '');
+  }
+  
+  // Same name give or take spacing and punctuation, one name extending the other
+  // ("7500 Brooktree Rd" / "7500 Brooktree Rd Wexford"), or near-identical spelling
+  static venuesMatch(a, b) {
+    const venueA = EventDedup.normalizeVenue(a);
+    const venueB = EventDedup.normalizeVenue(b);
+    if (!venueA || !venueB) return false;
+    if (venueA === venueB) return true;
+    
+    const [shorter, longer] = venueA.length <= venueB.length ? [venueA, venueB] : [venueB, venueA];
+    if (shorter.length >= EventDedup.MIN_PREFIX_LENGTH && longer.startsWith(shorter)) return true;
+    
+    return EventDedup.similarity(venueA, venueB) >= EventDedup.MIN_VENUE_SIMILARITY;
+  }
+  
+  // Dice coefficient of character pairs, 0 to 1
+  static similarity(a, b) {
+    const pairs = text => {
+      const counts = new Map();
+      for (let i = 0; i < text.length - 1; i++) {
+        const pair = text.slice(i, i + 2);
+        counts.set(pair, (counts.get(pair) || 0) + 1);
+      }
+      return counts;
+    };
+    
+    const pairsA = pairs(a);
+    const pairsB = pairs(b);
+    const total = Math.max(a.length - 1, 0) + Math.max(b.length - 1, 0);
+    if (total === 0) return 0;
+    
+    let shared = 0;
+    pairsA.forEach((count, pair) => {
+      shared += Math.min(count, pairsB.get(pair) || 0);
+    });
+    return (2 * shared) / total;
+  }
+  
+  // Highest confidence, then the report that says when it ends, then the one with
+  // coordinates; otherwise the earliest
+  static pickKept(group) {
+    const score = event => [
+      event.confidence === null ? -1 : event.confidence,
+      event.end_ts ? 1 : 0,
+      event.lat !== null ? 1 : 0
+    ];
+    
+    return group.reduce((best, event) => {
+      const a = score(event);
+      const b = score(best);
+      const index = a.findIndex((value, i) => value !== b[i]);
+      return index !== -1 && a[index] > b[index] ? event : best;
+    });
+  }
+}
+
+EventDedup.EARTH_RADIUS_MILES = 3959;
+
+// Reports further apart than this are different stops, whatever they're called
+EventDedup.MAX_DISTANCE_MILES = 0.5;
+
+// Reports this close together are one stop even when the venue names differ
+EventDedup.SAME_SPOT_MILES = 0.05;
+
+// Venue names: a prefix this long counts as a match, as does this much similarity
+EventDedup.MIN_PREFIX_LENGTH = 6;
+EventDedup.MIN_VENUE_SIMILARITY = 0.8;
@@ -0,0 +1,202 @@
+// Client-side event store - the one source of truth for event data on every page
+// Built from window.siteData (injected by _layouts/default.html) instead of
+// reading it back out of rendered cards. Widgets query it and subscribe to changes.
+class EventStore {
+  constructor(rawEvents = []) {
+    this.events = [];
+    this.eventsById = new Map();
+    // Ids of duplicate reports (event-dedup.js) -> the id of the event they were merged into
+    this.mergedIds = new Map();
+    this.subscribers = new Set();
+    
+    this.setEvents(rawEvents);
+  }
+  
+  static fromSiteData(siteData = window.siteData) {
+    return new EventStore(siteData?.events || []);
+  }
+  
+  // Coordinates come through as numbers, strings or 0 for "unknown"
+  static toCoordinate(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) && number !== 0 ? number : null;
+  }
+  
+  static normalize(raw) {
+    const lat = EventStore.toCoordinate(raw.lat);
+    const lng = EventStore.toCoordinate(raw.lng);
+    const rawAddress = (raw.raw_address || '').trim();
+    const formattedAddress = (raw.formatted_address || '').trim();
+    const city = (raw.city || '').trim();
+    
+    // raw_address often already ends in the city ("..., Pittsburgh, PA 15203, USA")
+    let address = rawAddress || formattedAddress;
+    if (rawAddress && city && !rawAddress.toLowerCase().includes(city.toLowerCase())) {
+      address = `${rawAddress}, ${city}`;
+    }
+    
+    const confidence = parseFloat(raw.confidence);
+    
+    return {
+      id: String(raw.id),
+      truck_name: (raw.truck_name || '').trim(),
+      venue: (raw.venue || '').trim(),
+      start_ts: raw.start_ts || null,
+      end_ts: raw.end_ts || null,
+      lat: lat !== null && lng !== null ? lat : null,
+      lng: lat !== null && lng !== null ? lng : null,
+      raw_address: rawAddress,
+      formatted_address: formattedAddress,
+      city: city,
+      address: address,
+      source_url: raw.source_url || null,
+      confidence: Number.isFinite(confidence) ? confidence : null,
+      last_seen_at: raw.last_seen_at || null,
+      // Filled in when duplicate reports are merged into this one (event-dedup.js)
+      duplicate_ids: [],
+      also_reported: []
+    };
+  }
+  
+  static startTime(event) {
+    return event.start_ts ? Date.parse(event.start_ts) : NaN;
+  }
+  
+  // Events without a usable end_ts are assumed to run EventStore.DEFAULT_DURATION_MS
+  static endTime(event) {
+    const start = EventStore.startTime(event);
+    const end = event.end_ts ? Date.parse(event.end_ts) : NaN;
+    
+    if (Number.isNaN(start)) return NaN;
+    return Number.isNaN(end) || end <= start ? start + EventStore.DEFAULT_DURATION_MS : end;
+  }
+  
+  // 'upcoming', 'soon', 'now' or 'ended' at the given time
+  static getStatus(event, now = Date.now()) {
+    const start = EventStore.startTime(event);
+    if (Number.isNaN(start)) return 'upcoming';
+    
+    if (now >= EventStore.endTime(event)) return 'ended';
+    if (now >= start) return 'now';
+    if (start - now <= EventStore.STARTING_SOON_MS) return 'soon';
+    return 'upcoming';
+  }
+  
+  // 'confirmed', 'likely' or 'unconfirmed' - the thresholds come from confidence in
+  // _config.yml (and match the confidence_level Liquid filter); no score is unconfirmed
+  static getConfidenceLevel(event, thresholds = window.siteConfig?.confidence) {
+    const { confirmed, likely } = Object.assign({}, EventStore.CONFIDENCE_THRESHOLDS, thresholds);
+    
+    if (event.confidence === null || event.confidence === undefined) return 'unconfirmed';
+    if (event.confidence >= confirmed) return 'confirmed';
+    if (event.confidence >= likely) return 'likely';
+    return 'unconfirmed';
+  }
+  
+  setEvents(rawEvents) {
+    this.events = EventDedup.merge(rawEvents
+      .filter(raw => raw && raw.id)
+      .map(raw => EventStore.normalize(raw))
+      .sort((a, b) => (EventStore.startTime(a) || 0) - (EventStore.startTime(b) || 0)));
+    
+    this.eventsById = new Map(this.events.map(event => [event.id, event]));
+    this.mergedIds = new Map();
+    this.events.forEach(event => {
+      event.duplicate_ids.forEach(id => this.mergedIds.set(id, event.id));
+    });
+    this.notify({ type: 'reset', events: this.events });
+  }
+  
+  all() {
+    return this.events.slice();
+  }
+  
+  // A merged duplicate's id gives the event it was merged into, so old links and
+  // reminders still find it
+  get(eventId) {
+    const id = String(eventId);
+    return this.eventsById.get(id) || this.eventsById.get(this.mergedIds.get(id)) || null;
+  }
+  
+  hasLocation(event) {
+    return event.lat !== null && event.lng !== null;
+  }
+  
+  // Criteria are all optional and combine with AND:
+  //   ids, truckName, truckNames, text (venue/address search), from, to (Dates,
+  //   matched against start_ts), withLocation, where (custom predicate)
+  query(criteria = {}) {
+    const ids = criteria.ids ? new Set(criteria.ids.map(String)) : null;
+    const truckNames = criteria.truckNames && criteria.truckNames.length > 0 ? criteria.truckNames : null;
+    const text = (criteria.text || '').trim().toLowerCase();
+    
+    return this.events.filter(event => {
+      if (ids && !ids.has(event.id)) return false;
+      if (criteria.truckName && event.truck_name !== criteria.truckName) return false;
+      if (truckNames && !truckNames.includes(event.truck_name)) return false;
+      if (criteria.withLocation && !this.hasLocation(event)) return false;
+      
+      if (text) {
+        const haystack = [event.venue, event.address, event.formatted_address, event.city].join(' ').toLowerCase();
+        if (!haystack.includes(text)) return false;
+      }
+      
+      if (criteria.from || criteria.to) {
+        const start = EventStore.startTime(event);
+        if (Number.isNaN(start)) return false;
+        if (criteria.from && start < criteria.from.getTime()) return false;
+        if (criteria.to && start >= criteria.to.getTime()) return false;
+      }
+      
+      return criteria.where ? criteria.where(event) : true;
+    });
+  }
+  
+  truckNames() {
+    return Array.from(new Set(this.events.map(event => event.truck_name)))
+      .sort((a, b) => a.localeCompare(b, 'en', { sensitivity: 'base' }));
+  }
+  
+  // Subscribers receive { type, events } and get back an unsubscribe function
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+  
+  notify(change) {
+    this.subscribers.forEach(callback => {
+      try {
+        callback(change);
+      } catch (error) {
+        console.error('Event store subscriber failed:', error);
+      }
+    });
+  }
+}
+
+EventStore.DEFAULT_DURATION_MS = 3 * 60 * 60 * 1000;
+EventStore.STARTING_SOON_MS = 60 * 60 * 1000;
+
+EventStore.STATUS_LABELS = {
+  upcoming: 'Upcoming',
+  soon: 'Starting soon',
+  now: 'Happening now',
+  ended: 'Ended'
+};
+
+EventStore.CONFIDENCE_THRESHOLDS = { confirmed: 0.95, likely: 0.75 };
+
+// Most to least certain
+EventStore.CONFIDENCE_LABELS = {
+  confirmed: 'Confirmed',
+  likely: 'Likely',
+  unconfirmed: 'Unconfirmed'
+};
+
+// Shared store for the page, created on first use
+function getEventStore() {
+  if (!window.eventStore) {
+    window.eventStore = EventStore.fromSiteData(window.siteData);
+  }
+  return window.eventStore;
+}
@@ -0,0 +1,117 @@
+// Event time formatting - the one place event times are turned into text
+// Always uses the site's timezone (timezone in _config.yml), so visitors from
+// out of town see the same times as the server-rendered cards.
+class EventTimeFormatter {
+  constructor(options = {}) {
+    this.timeZone = options.timeZone || 'America/New_York';
+    this.hour12 = options.hour12 !== false;
+    
+    this.partsFormat = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timeZone,
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      weekday: 'short',
+      hour: 'numeric',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+  }
+  
+  static fromSiteConfig(siteConfig = window.siteConfig) {
+    const time = siteConfig?.time || {};
+    return new EventTimeFormatter({ timeZone: time.timeZone, hour12: time.hour12 });
+  }
+  
+  // Wall-clock fields of a timestamp in the site's timezone
+  getParts(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) return null;
+    
+    const parts = {};
+    this.partsFormat.formatToParts(date).forEach(part => {
+      parts[part.type] = part.value;
+    });
+    
+    const year = parseInt(parts.year, 10);
+    const monthIndex = EventTimeFormatter.MONTHS.indexOf(parts.month);
+    const day = parseInt(parts.day, 10);
+    
+    return {
+      year: year,
+      month: parts.month,
+      day: day,
+      weekday: parts.weekday,
+      hour: parseInt(parts.hour, 10) % 24,
+      minute: parseInt(parts.minute, 10),
+      // Whole days since the epoch, for comparing calendar days
+      dayNumber: Math.floor(Date.UTC(year, monthIndex, day) / 86400000)
+    };
+  }
+  
+  // "6 PM", "6:30 PM" or "18:00"; withPeriod: false drops the AM/PM
+  formatClock(parts, withPeriod = true) {
+    const minutes = String(parts.minute).padStart(2, '0');
+    
+    if (!this.hour12) {
+      return `${String(parts.hour).padStart(2, '0')}:${minutes}`;
+    }
+    
+    const hour = parts.hour % 12 || 12;
+    const clock = parts.minute === 0 ? String(hour) : `${hour}:${minutes}`;
+    return withPeriod ? `${clock} ${parts.hour < 12 ? 'AM' : 'PM'}` : clock;
+  }
+  
+  // "Tonight", "Today", "Tomorrow", "Sat", "Sep 27" or "Sep 27, 2027"
+  formatDayLabel(parts, now = new Date()) {
+    const today = this.getParts(now);
+    const daysAway = parts.dayNumber - today.dayNumber;
+    
+    if (daysAway === 0) {
+      return parts.hour >= EventTimeFormatter.EVENING_HOUR ? 'Tonight' : 'Today';
+    }
+    if (daysAway === 1) return 'Tomorrow';
+    if (daysAway > 1 && daysAway < 7) return parts.weekday;
+    
+    return parts.year === today.year ? `${parts.month} ${parts.day}` : `${parts.month} ${parts.day}, ${parts.year}`;
+  }
+  
+  // "6–9 PM", "11 AM–2 PM", "18:00–21:00" or "from 6 PM" when there's no end time
+  formatTimeRange(startTs, endTs) {
+    const start = this.getParts(startTs);
+    if (!start) return 'Time TBD';
+    
+    const end = endTs ? this.getParts(endTs) : null;
+    if (!end || (end.dayNumber === start.dayNumber && end.hour === start.hour && end.minute === start.minute)) {
+      return `from ${this.formatClock(start)}`;
+    }
+    
+    const samePeriod = this.hour12 && (start.hour < 12) === (end.hour < 12) && start.dayNumber === end.dayNumber;
+    return `${this.formatClock(start, !samePeriod)}–${this.formatClock(end)}`;
+  }
+  
+  // "Tonight 6–9 PM", "Sat from 11 AM", "Sep 27 18:00–21:00"
+  format(startTs, endTs, now = new Date()) {
+    const start = startTs ? this.getParts(startTs) : null;
+    if (!start) return 'Time TBD';
+    
+    return `${this.formatDayLabel(start, now)} ${this.formatTimeRange(startTs, endTs)}`;
+  }
+}
+
+EventTimeFormatter.MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Events starting at or after this hour on the current day read "Tonight"
+EventTimeFormatter.EVENING_HOUR = 17;
+
+// Shared formatter for the page, created on first use
+function getEventTimeFormatter() {
+  if (!window.eventTimeFormatter) {
+    window.eventTimeFormatter = EventTimeFormatter.fromSiteConfig(window.siteConfig);
+  }
+  return window.eventTimeFormatter;
+}
+
+function formatEventDateTime(startTs, endTs) {
+  return getEventTimeFormatter().format(startTs, endTs);
+}
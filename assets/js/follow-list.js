@@ -0,0 +1,123 @@
+// Followed trucks - a list of truck names kept in localStorage
+// Any element with data-follow-truck is a star button for that truck (cards, info
+// windows, truck pages); they all stay in sync. Without storage the list still
+// works for the current page, it just isn't remembered.
+class FollowList {
+  constructor(storageKey = 'pghFoodTrucks.following') {
+    this.storageKey = storageKey;
+    this.persistent = true;
+    this.trucks = new Set(this.load());
+    this.subscribers = new Set();
+  }
+  
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey));
+      return Array.isArray(saved) ? saved.filter(name => typeof name === 'string') : [];
+    } catch (error) {
+      console.warn('Could not read followed trucks:', error);
+      this.persistent = false;
+      return [];
+    }
+  }
+  
+  save() {
+    if (!this.persistent) return;
+    
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.all()));
+    } catch (error) {
+      console.warn('Could not save followed trucks - following for this page only:', error);
+      this.persistent = false;
+    }
+  }
+  
+  all() {
+    return Array.from(this.trucks).sort((a, b) => a.localeCompare(b, 'en', { sensitivity: 'base' }));
+  }
+  
+  has(truckName) {
+    return this.trucks.has(truckName);
+  }
+  
+  size() {
+    return this.trucks.size;
+  }
+  
+  toggle(truckName) {
+    if (this.trucks.has(truckName)) {
+      this.trucks.delete(truckName);
+    } else {
+      this.trucks.add(truckName);
+    }
+    
+    this.save();
+    this.syncButtons();
+    this.notify({ truckName: truckName, following: this.trucks.has(truckName) });
+    return this.trucks.has(truckName);
+  }
+  
+  // Star markup (an html`` fragment) for places that build HTML, e.g. info windows
+  renderButton(truckName, extraClass = '') {
+    const following = this.has(truckName);
+    const classes = ['follow-star', following ? 'follow-star--active' : '', extraClass].filter(Boolean).join(' ');
+    
+    return html`<button type="button" class="${classes}" data-follow-truck="${truckName}" aria-pressed="${following}" title="${following ? 'Unfollow' : 'Follow'} ${truckName}">${following ? '★' : '☆'}</button>`;
+  }
+  
+  syncButtons(root = document) {
+    root.querySelectorAll('[data-follow-truck]').forEach(button => {
+      const truckName = button.dataset.followTruck;
+      const following = this.has(truckName);
+      
+      button.classList.toggle('follow-star--active', following);
+      button.setAttribute('aria-pressed', String(following));
+      button.title = `${following ? 'Unfollow' : 'Follow'} ${truckName}`;
+      
+      // Labelled buttons (truck pages) have separate icon and text parts; bare stars are just the glyph
+      const icon = button.querySelector('.follow-star__icon') || button;
+      icon.textContent = following ? '★' : '☆';
+      
+      const text = button.querySelector('.follow-star__text');
+      if (text) {
+        text.textContent = following ? 'Following' : 'Follow';
+      }
+    });
+  }
+  
+  // Subscribers receive { truckName, following } and get back an unsubscribe function
+  subscribe(callback) {
+    this.subscribers.add(callback);
+    return () => this.subscribers.delete(callback);
+  }
+  
+  notify(change) {
+    this.subscribers.forEach(callback => {
+      try {
+        callback(change);
+      } catch (error) {
+        console.error('Follow list subscriber failed:', error);
+      }
+    });
+  }
+}
+
+// Shared follow list for the page, created on first use
+function getFollowList() {
+  if (!window.followList) {
+    window.followList = new FollowList();
+  }
+  return window.followList;
+}
+
+document.addEventListener('click', (e) => {
+  const button = e.target.closest('[data-follow-truck]');
+  if (!button) return;
+  
+  e.preventDefault();
+  getFollowList().toggle(button.dataset.followTruck);
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+  getFollowList().syncButtons();
+});
@@ -0,0 +1,233 @@
+// Live refresh (opt-in, live_refresh in _config.yml) - between builds, pulls the
+// latest events from Supabase's public_events REST endpoint (the same query as
+// scripts/fetch-data.rb) into the event store, and tracks what changed since
+// the build: 'added', 'updated' (time or venue) or 'removed'.
+// Removed events stay in the store, marked, so cards don't vanish mid-read.
+// Failed requests back off exponentially; when nothing fresh has arrived for
+// staleMs the data is reported stale rather than silently shown as current.
+class LiveRefresh {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.url = String(options.url || '').replace(/\/+$/, '');
+    this.anonKey = options.anonKey;
+    this.intervalMs = options.intervalMs || LiveRefresh.DEFAULT_INTERVAL_MS;
+    this.staleMs = options.staleMs || LiveRefresh.DEFAULT_STALE_MS;
+    // Injectable for tests (and a local mock PostgREST server works through the real one)
+    this.fetch = options.fetch || ((...args) => window.fetch(...args));
+    
+    this.buildEvents = new Map((options.buildEvents || [])
+      .filter(raw => raw && raw.id)
+      .map(raw => [String(raw.id), raw]));
+    this.changes = new Map();
+    
+    // When the data on the page was last known to be current - the build, until a refresh lands
+    const builtAt = Date.parse(options.builtAt);
+    this.updatedAt = Number.isNaN(builtAt) ? Date.now() : builtAt;
+    
+    this.failures = 0;
+    this.lastError = null;
+    this.timer = null;
+    this.inFlight = null;
+    this.started = false;
+    this.listeners = new Set();
+  }
+  
+  // null unless live_refresh is enabled and the Supabase settings are present
+  static fromSiteConfig(store, siteConfig = window.siteConfig, siteData = window.siteData) {
+    const config = siteConfig?.liveRefresh;
+    if (!config || !config.url || !config.anonKey) return null;
+    
+    return new LiveRefresh(store, {
+      url: config.url,
+      anonKey: config.anonKey,
+      intervalMs: config.intervalMinutes * 60 * 1000,
+      staleMs: config.staleMinutes * 60 * 1000,
+      builtAt: siteConfig.builtAt,
+      buildEvents: siteData?.events || []
+    });
+  }
+  
+  getEndpoint() {
+    return `${this.url}/rest/v1/public_events?select=*&order=start_ts.asc`;
+  }
+  
+  start() {
+    if (this.started) return;
+    this.started = true;
+    
+    // Hidden tabs don't poll; catch up when the visitor comes back
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden && this.started && this.isDue()) {
+        this.refresh();
+      }
+    });
+    
+    this.schedule(0);
+  }
+  
+  stop() {
+    this.started = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+  
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.nextRefreshAt = Date.now() + delay;
+    this.timer = setTimeout(() => this.refresh(), delay);
+  }
+  
+  isDue(now = Date.now()) {
+    return !this.inFlight && now >= this.nextRefreshAt;
+  }
+  
+  // Doubles with each failure in a row, up to MAX_RETRY_MS, with a little jitter
+  // so a crowd of open tabs doesn't retry in lockstep
+  getRetryDelay() {
+    const delay = Math.min(LiveRefresh.MIN_RETRY_MS * 2 ** (this.failures - 1), LiveRefresh.MAX_RETRY_MS);
+    return Math.round(delay * (1 + Math.random() * 0.2));
+  }
+  
+  refresh() {
+    if (this.inFlight) return this.inFlight;
+    if (document.hidden) return Promise.resolve(false);
+    
+    this.inFlight = this.fetchEvents()
+      .then(rawEvents => {
+        this.apply(rawEvents);
+        this.failures = 0;
+        this.lastError = null;
+        this.updatedAt = Date.now();
+        return true;
+      })
+      .catch(error => {
+        this.failures++;
+        this.lastError = error;
+        console.warn(`Live refresh failed (${this.failures} in a row):`, error);
+        return false;
+      })
+      .then(ok => {
+        this.inFlight = null;
+        if (this.started) {
+          this.schedule(ok ? this.intervalMs : this.getRetryDelay());
+        }
+        this.notify();
+        return ok;
+      });
+    
+    return this.inFlight;
+  }
+  
+  async fetchEvents() {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timeout = controller ? setTimeout(() => controller.abort(), LiveRefresh.REQUEST_TIMEOUT_MS) : null;
+    
+    try {
+      const response = await this.fetch(this.getEndpoint(), {
+        headers: {
+          apikey: this.anonKey,
+          Authorization: `Bearer ${this.anonKey}`,
+          Accept: 'application/json'
+        },
+        cache: 'no-store',
+        signal: controller ? controller.signal : undefined
+      });
+      
+      if (!response.ok) {
+        throw new Error(`public_events returned ${response.status}`);
+      }
+      
+      const rawEvents = await response.json();
+      if (!Array.isArray(rawEvents)) {
+        throw new Error('public_events did not return a list');
+      }
+      // Like fetch-data.rb, an empty schedule is treated as a problem upstream, not news
+      if (rawEvents.length === 0) {
+        throw new Error('public_events returned no events');
+      }
+      return rawEvents;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+  
+  // Merge into the store, marking each event against the build
+  apply(rawEvents) {
+    const changes = new Map();
+    const fetchedIds = new Set();
+    
+    rawEvents.forEach(raw => {
+      if (!raw || !raw.id) return;
+      
+      const id = String(raw.id);
+      const built = this.buildEvents.get(id);
+      fetchedIds.add(id);
+      
+      if (!built) {
+        changes.set(id, 'added');
+      } else if (this.hasChanged(built, raw)) {
+        changes.set(id, 'updated');
+      }
+    });
+    
+    const removed = [];
+    this.buildEvents.forEach((raw, id) => {
+      if (!fetchedIds.has(id)) {
+        changes.set(id, 'removed');
+        removed.push(raw);
+      }
+    });
+    
+    // Set before the store notifies, so subscribers can read the marks
+    this.changes = changes;
+    this.store.setEvents(rawEvents.concat(removed));
+  }
+  
+  // Times are compared as instants - the API and the build may format them differently
+  hasChanged(before, after) {
+    const sameTime = (a, b) => (a || null) === (b || null) || Date.parse(a) === Date.parse(b);
+    
+    return !sameTime(before.start_ts, after.start_ts) ||
+      !sameTime(before.end_ts, after.end_ts) ||
+      (before.venue || '').trim() !== (after.venue || '').trim();
+  }
+  
+  // 'added', 'updated', 'removed' or null
+  getChange(eventId) {
+    return this.changes.get(String(eventId)) || null;
+  }
+  
+  isStale(now = Date.now()) {
+    return now - this.updatedAt > this.staleMs;
+  }
+  
+  // listener(liveRefresh) runs after every refresh attempt
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+  
+  notify() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this);
+      } catch (error) {
+        console.error('Live refresh listener failed:', error);
+      }
+    });
+  }
+}
+
+LiveRefresh.DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+LiveRefresh.DEFAULT_STALE_MS = 60 * 60 * 1000;
+LiveRefresh.REQUEST_TIMEOUT_MS = 15 * 1000;
+
+// First retry after a failure, and the longest wait between retries
+LiveRefresh.MIN_RETRY_MS = 30 * 1000;
+LiveRefresh.MAX_RETRY_MS = 30 * 60 * 1000;
+
+LiveRefresh.CHANGE_LABELS = {
+  added: 'Just added',
+  updated: 'Updated',
+  removed: 'Removed'
+};
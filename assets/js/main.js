@@ -1,378 +1,1959 @@
-// Map and event handlers only - events are server-rendered
+// Map and event handlers only - events are server-rendered, and their data
+// comes from the shared EventStore (event-store.js)
+
+// Downtown Pittsburgh - the default origin for distances and map centering
+const DEFAULT_ORIGIN = { lat: 40.4406, lng: -79.9959, label: 'Downtown Pittsburgh' };
+
+// Events further than this from downtown are treated as bad geocodes
+const SERVICE_AREA_MILES = 100;
+
+// Radius applied when "Near me" is switched on from the default service area
+const NEAR_ME_RADIUS_MILES = 5;
+
+// "Closest first" measures from the origin (Downtown, or the near-me place) unless
+// the map center is chosen - the values of the #sort-origin options
+const DEFAULT_SORT_ORIGIN = 'origin';
+
+// How often card and marker statuses are re-checked
+const STATUS_REFRESH_MS = 60 * 1000;
+
+// Marker look for each live status (see EventStore.getStatus)
+const MARKER_STATUS_STYLES = {
+  now: { scale: 1.25, opacity: 1, zIndex: 300 },
+  soon: { scale: 1, opacity: 1, zIndex: 200 },
+  upcoming: { scale: 1, opacity: 0.85, zIndex: 100 },
+  ended: { scale: 0.8, opacity: 0.45, zIndex: 0 }
+};
+
+// Less certain stops fade back, on top of their status style
+const MARKER_CONFIDENCE_OPACITY = {
+  confirmed: 1,
+  likely: 0.85,
+  unconfirmed: 0.55
+};
+
+// The marker for a hovered or focused card stands out from all of them
+const MARKER_HIGHLIGHT_STYLE = { scale: 1.4, opacity: 1, zIndex: 1000 };
+
+// The site's pin, in the marker icon format from map-adapters.js
+function getPinIcon(scale = 1) {
+  const size = Math.round(32 * scale);
+  return {
+    url: (window.siteBaseUrl || '') + '/assets/images/pin.png',
+    size: [size, size],
+    anchor: [size / 2, size],
+    labelOrigin: [size / 2, Math.round(12 * scale)]
+  };
+}
+
+// Pins for venue stacks with a followed truck - the same shape, in the secondary color
+function getFollowedPinIcon(scale = 1) {
+  const icon = getPinIcon(scale);
+  const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="32" height="32" viewBox="0 0 32 32">' +
+    '<path d="M16 1C9.9 1 5 5.9 5 12c0 8.3 11 19 11 19s11-10.7 11-19C27 5.9 22.1 1 16 1z" fill="#3981c4" stroke="#fff" stroke-width="2"/>' +
+    '</svg>';
+  
+  icon.url = `data:image/svg+xml;charset=UTF-8,${encodeURIComponent(svg)}`;
+  return icon;
+}
+
+// "Confirmed", "Likely" or "Unconfirmed" - the same markup as _includes/confidence-badge.html
+function renderConfidenceBadge(event, extraClass = '') {
+  const level = EventStore.getConfidenceLevel(event);
+  const title = event.confidence === null ? 'No confidence score' : `${Math.round(event.confidence * 100)}% confidence`;
+  return html`<span class="${extraClass ? `${extraClass} ` : ''}confidence confidence--${level}" title="${title}">${EventStore.CONFIDENCE_LABELS[level]}</span>`;
+}
+
+// "Also reported: instagram.com, facebook.com" - links to the posts behind duplicate
+// reports merged into this event (event-dedup.js), other than its own source
+function renderAlsoReported(event, className) {
+  const urls = Array.from(new Set(event.also_reported.map(report => safeUrl(report.source_url))))
+    .filter(url => url && url !== safeUrl(event.source_url));
+  if (urls.length === 0) return '';
+  
+  const links = urls.map((url, index) => html`${index > 0 ? ', ' : ''}<a href="${url}" target="_blank">${new URL(url).hostname.replace(/^www\./, '')}</a>`);
+  return html`<p class="${className}">Also reported: ${links}</p>`;
+}
+
+// "View on Instagram" and so on, for the platform a source link points to
+function getSourceLinkText(sourceUrl) {
+  if (sourceUrl.includes('instagram.com')) {
+    return 'View on Instagram';
+  } else if (sourceUrl.includes('facebook.com')) {
+    return 'View on Facebook';
+  } else if (sourceUrl.includes('twitter.com') || sourceUrl.includes('x.com')) {
+    return 'View on Twitter';
+  }
+  return 'View Source';
+}
+
+// Cards are rendered for every report; hide those merged into another event and
+// add "Also reported" links to the events they were merged into
+function syncMergedEventCards(store, root = document) {
+  root.querySelectorAll('.event-card[data-id]').forEach(card => {
+    const event = store.get(card.dataset.id);
+    const merged = !!event && event.id !== card.dataset.id;
+    card.classList.toggle('event-card--merged', merged);
+    
+    const content = card.querySelector('.event-card__content');
+    const previous = card.querySelector('.event-card__also');
+    if (previous) previous.remove();
+    if (!event || merged || !content) return;
+    
+    const template = document.createElement('template');
+    template.innerHTML = renderAlsoReported(event, 'event-card__also');
+    content.appendChild(template.content);
+  });
+}
+
+// Clustering follows google_maps.marker_cluster in _config.yml
+function isMarkerClusteringEnabled() {
+  return window.siteConfig?.maps?.markerCluster === true;
+}
+
+function calculateDistance(lat1, lng1, lat2, lng2) {
+  // Haversine formula to calculate distance between two points
+  // Returns distance in miles
+  
+  // Convert to radians
+  const lat1Rad = lat1 * Math.PI / 180;
+  const lng1Rad = lng1 * Math.PI / 180;
+  const lat2Rad = lat2 * Math.PI / 180;
+  const lng2Rad = lng2 * Math.PI / 180;
+  
+  // Earth's radius in miles
+  const earthRadius = 3959;
+  
+  // Calculate differences
+  const dlat = lat2Rad - lat1Rad;
+  const dlng = lng2Rad - lng1Rad;
+  
+  // Haversine formula
+  const a = Math.sin(dlat/2)**2 + Math.cos(lat1Rad) * Math.cos(lat2Rad) * Math.sin(dlng/2)**2;
+  const c = 2 * Math.asin(Math.sqrt(a));
+  
+  // Distance in miles
+  return earthRadius * c;
+}
+
 class FoodTruckApp {
   constructor() {
     this.map = null;
+    this.mapAdapter = null;
+    this.mapRetryBound = false;
+    this.store = getEventStore();
     this.markers = [];
+    this.markerStyles = [];
+    this.highlightedMarker = null;
     this.infoWindows = [];
+    // One marker per location: markerEvents[i] lists the events stacked on markers[i]
+    this.markerEvents = [];
+    this.eventMarkerIndex = new Map();
+    this.visibleEventIds = null;
+    this.clusterer = null;
     this.events = [];
     
-    // Pittsburgh coordinates and distance filter
-    this.pittsburghLat = 40.4406;
-    this.pittsburghLng = -79.9959;
-    this.maxDistanceMiles = 100;
+    // Active list/map filters (see _includes/filter-panel.html)
+    this.filters = {
+      date: 'all',
+      trucks: [],
+      venue: '',
+      radius: SERVICE_AREA_MILES,
+      showEnded: false,
+      myTrucks: false,
+      // Least certain confidence level shown: 'all', 'likely' or 'confirmed'
+      confidence: 'all'
+    };
+    
+    // Followed trucks (follow-list.js) and what was here on the last visit (visit-history.js)
+    this.following = getFollowList();
+    this.visits = null;
+    
+    // Live status per event id, refreshed on a timer
+    this.statuses = new Map();
+    this.statusTimer = null;
+    
+    // List ordering, persisted in localStorage between visits
+    this.sortStorageKey = 'pghFoodTrucks.sort';
+    this.sort = {
+      mode: 'date',
+      origin: DEFAULT_SORT_ORIGIN
+    };
+    
+    // Distances are measured from here; "Near me" swaps in the visitor's location
+    this.origin = Object.assign({ source: 'default' }, DEFAULT_ORIGIN);
+    this.originMarker = null;
+    this.originCircle = null;
+    
+    // Deep links (url-state.js): the selected event, and URL state waiting for the map
+    this.selectedEventId = null;
+    this.pendingUrlState = null;
+    this.restoringUrl = false;
+    this.urlStateEnabled = false;
+    
+    // Week and month grids in place of the list (calendar-view.js)
+    this.calendar = null;
+    
+    // Heatmap and Day & hour layers over the map (map-layers.js)
+    this.layers = null;
+    
+    // The crawl tray and its route on the map (crawl-planner.js)
+    this.crawl = null;
+    
+    // Events pulled from Supabase between builds (live-refresh.js), when enabled
+    this.liveRefresh = null;
+    // Event id -> getCardFields of the card built in the browser for it
+    this.cardFields = new Map();
     
     this.init();
   }
   
-  async init() {
+  async init() {
+    try {
+      this.loadEvents();
+      syncMergedEventCards(this.store);
+      this.updateTimeLabels();
+      this.updateStatuses();
+      this.updateNewBadges();
+      this.setupFollowing();
+      this.startStatusTimer();
+      this.setupEventHandlers();
+      this.setupListNavigation();
+      this.setupFilters();
+      this.setupNearMe();
+      this.setupSorting();
+      this.setupCalendar();
+      this.setupMapLayers();
+      this.setupCrawl();
+      this.setupUrlState();
+      this.applyFilters();
+      this.setupLiveRefresh();
+      
+      // Only the home page has the main map; don't load a provider for the others
+      if (!document.getElementById('main-map')) return;
+      
+      // The list works without a map; the map arrives once a provider is ready
+      const adapter = await withMapAdapter(adapter => this.initializeMap(adapter));
+      if (!adapter) {
+        this.showMapUnavailable();
+      }
+    } catch (error) {
+      console.error('Failed to initialize app:', error);
+    }
+  }
+  
+  loadEvents() {
+    this.events = this.store.all();
+    if (!this.visits) {
+      this.visits = new VisitHistory(this.events);
+    }
+    
+    // Keep markers and the list in step when the store changes
+    if (!this.unsubscribeStore) {
+      this.unsubscribeStore = this.store.subscribe(() => {
+        this.events = this.store.all();
+        this.visits.record(this.events);
+        this.syncEventCards();
+        syncMergedEventCards(this.store);
+        this.updateTimeLabels();
+        this.updateStatuses();
+        this.updateNewBadges();
+        this.updateChangeBadges();
+        const changedMarkers = this.syncEventMarkers();
+        this.updateDistanceLabels();
+        // Don't move the map out from under someone who's looking at it
+        this.applyFilters({ fitMap: false });
+        this.refreshInfoWindows(changedMarkers);
+        this.sortEvents();
+      });
+    }
+    
+    // Distance from the origin is applied later, by the radius filter
+    return this.events;
+  }
+  
+  // Cards are rendered at build time; relabel them with the same text as the map
+  updateTimeLabels() {
+    document.querySelectorAll('.event-card[data-id]').forEach(card => {
+      const event = this.findSiteEvent(card.dataset.id);
+      const label = card.querySelector('.event-card__time');
+      if (!event || !label) return;
+      
+      label.textContent = formatEventDateTime(event.start_ts, event.end_ts);
+    });
+  }
+  
+  getStatus(event) {
+    return this.statuses.get(event.id) || EventStore.getStatus(event);
+  }
+  
+  // Tags cards with their live status; returns true when any status changed
+  updateStatuses(now = Date.now()) {
+    let changed = false;
+    
+    this.events.forEach(event => {
+      const status = EventStore.getStatus(event, now);
+      if (this.statuses.get(event.id) !== status) {
+        this.statuses.set(event.id, status);
+        changed = true;
+      }
+    });
+    
+    document.querySelectorAll('.event-card[data-id]').forEach(card => {
+      const event = this.findSiteEvent(card.dataset.id);
+      if (!event) return;
+      
+      const status = this.getStatus(event);
+      Object.keys(EventStore.STATUS_LABELS).forEach(name => {
+        card.classList.toggle(`event-card--${name}`, name === status);
+      });
+      
+      let badge = card.querySelector('.event-card__status');
+      if (status === 'upcoming') {
+        if (badge) badge.remove();
+        return;
+      }
+      
+      if (!badge) {
+        badge = document.createElement('p');
+        card.querySelector('.event-card__content').prepend(badge);
+      }
+      badge.className = `event-card__status status-badge status-badge--${status}`;
+      badge.textContent = EventStore.STATUS_LABELS[status];
+    });
+    
+    return changed;
+  }
+  
+  startStatusTimer() {
+    if (this.statusTimer) return;
+    
+    this.statusTimer = setInterval(() => this.refreshStatuses(), STATUS_REFRESH_MS);
+    
+    // Background tabs throttle timers, so catch up as soon as the page is visible again
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) {
+        this.refreshStatuses();
+      }
+    });
+  }
+  
+  refreshStatuses() {
+    this.updateTimeLabels();
+    this.updateLiveStatus();
+    if (this.updateStatuses()) {
+      // Don't move the map out from under someone who's looking at it
+      this.applyFilters({ fitMap: false });
+    }
+    // The crawl's arrival times start from now
+    if (this.crawl) {
+      this.crawl.syncButtons();
+      this.crawl.render();
+    }
+  }
+  
+  // "New" badges for events added or re-reported since the last visit
+  updateNewBadges() {
+    document.querySelectorAll('.event-card[data-id]').forEach(card => {
+      const event = this.findSiteEvent(card.dataset.id);
+      const isNew = !!event && this.visits.isNew(event);
+      const venue = card.querySelector('.event-card__venue');
+      let badge = card.querySelector('.event-card__new');
+      
+      card.classList.toggle('event-card--new', isNew);
+      if (!isNew) {
+        if (badge) badge.remove();
+        return;
+      }
+      
+      if (!badge && venue) {
+        badge = document.createElement('span');
+        badge.className = 'event-card__new status-badge status-badge--new';
+        badge.textContent = 'New';
+        venue.appendChild(badge);
+      }
+    });
+  }
+  
+  getNewBadge(event) {
+    return this.visits && this.visits.isNew(event) ? html`<span class="status-badge status-badge--new">New</span>` : '';
+  }
+  
+  setupFollowing() {
+    // Stars update themselves; the list and map need refiltering and restyling
+    this.following.subscribe(() => this.applyFilters({ fitMap: false }));
+  }
+  
+  getStatusBadge(event) {
+    const status = this.getStatus(event);
+    if (status === 'upcoming') return '';
+    return html`<span class="status-badge status-badge--${status}">${EventStore.STATUS_LABELS[status]}</span>`;
+  }
+  
+  hasLocation(event) {
+    return !!(event.lat && event.lng && event.lat !== 0 && event.lng !== 0);
+  }
+  
+  getDistanceFromOrigin(event) {
+    if (!this.hasLocation(event)) return null;
+    return this.calculateDistance(this.origin.lat, this.origin.lng, event.lat, event.lng);
+  }
+  
+  isWithinDistance(event) {
+    // Skip events without valid coordinates
+    const distance = this.getDistanceFromOrigin(event);
+    return distance !== null && distance <= this.filters.radius;
+  }
+  
+  isNearMeActive() {
+    return this.origin.source !== 'default';
+  }
+  
+  calculateDistance(lat1, lng1, lat2, lng2) {
+    return calculateDistance(lat1, lng1, lat2, lng2);
+  }
+  
+  formatDistance(miles) {
+    if (miles < 0.1) return 'under 0.1 mi';
+    return `${miles < 10 ? miles.toFixed(1) : Math.round(miles)} mi`;
+  }
+  
+  initializeMap(adapter) {
+    const mapElement = document.getElementById('main-map');
+    if (!mapElement) return;
+    
+    // Rebuilding after a provider failure starts from a clean slate
+    if (this.map) {
+      this.clearMarkers();
+      if (this.clusterer) {
+        this.clusterer.destroy();
+        this.clusterer = null;
+      }
+      this.originMarker = null;
+      this.originCircle = null;
+    }
+    
+    this.mapAdapter = adapter;
+    this.map = adapter.createMap(mapElement, {
+      zoom: 12,
+      center: { lat: DEFAULT_ORIGIN.lat, lng: DEFAULT_ORIGIN.lng },
+      zoomControlPosition: 'topleft',
+      hidePointsOfInterest: true
+    });
+    
+    // Distances from the map center change whenever the map moves
+    this.map.on('idle', () => {
+      if (this.sort.mode === 'distance' && this.sort.origin === 'map') {
+        this.sortEvents();
+      }
+      this.updateUrl();
+    });
+    
+    this.addEventMarkers();
+    if (this.layers) {
+      this.layers.attach(this.map);
+    }
+    if (this.crawl) {
+      this.crawl.attach(this.map);
+    }
+    this.updateOriginOverlay();
+    this.applyFilters();
+    this.applyPendingUrlState();
+  }
+  
+  setupEventHandlers() {
+    // "View on Map" buttons - delegated, since live refresh can add cards later
+    const list = document.getElementById('events-list');
+    if (!list) return;
+    
+    list.addEventListener('click', (e) => {
+      const button = e.target.closest('.event-card [data-event-id]');
+      if (!button) return;
+      
+      e.preventDefault();
+      const eventId = button.dataset.eventId;
+      this.focusOnEvent(this.store.get(eventId) || { id: eventId });
+    });
+  }
+  
+  // The list and map follow each other, and the list works from the keyboard:
+  // arrow keys move between cards, Enter shows the event on the map, Escape closes it
+  setupListNavigation() {
+    const list = document.getElementById('events-list');
+    if (!list) return;
+    
+    const highlightCard = (card) => {
+      const index = card ? this.eventMarkerIndex.get(card.dataset.id) : undefined;
+      this.highlightMarker(index === undefined ? null : index);
+    };
+    
+    list.addEventListener('mouseover', (e) => highlightCard(e.target.closest('.event-card[data-id]')));
+    list.addEventListener('mouseleave', () => highlightCard(null));
+    list.addEventListener('focusin', (e) => highlightCard(e.target.closest('.event-card[data-id]')));
+    list.addEventListener('focusout', (e) => {
+      if (!list.contains(e.relatedTarget)) {
+        highlightCard(null);
+      }
+    });
+    
+    list.addEventListener('keydown', (e) => {
+      const card = e.target.closest('.event-card[data-id]');
+      // Fields and menus inside the list keep their own keys
+      if (!card || e.target.closest('input, select, textarea, summary')) return;
+      
+      const cards = Array.from(list.querySelectorAll('.event-card[data-id]:not(.event-card--hidden)'));
+      const position = cards.indexOf(card);
+      const targets = {
+        ArrowDown: cards[position + 1],
+        ArrowUp: cards[position - 1],
+        Home: cards[0],
+        End: cards[cards.length - 1]
+      };
+      
+      if (e.key in targets) {
+        e.preventDefault();
+        if (targets[e.key]) {
+          targets[e.key].focus();
+        }
+      } else if (e.key === 'Enter' && e.target === card) {
+        e.preventDefault();
+        this.showCardOnMap(card);
+      }
+    });
+    
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape' || !this.infoWindows.some(infoWindow => infoWindow.isOpen())) return;
+      
+      this.closeAllInfoWindows();
+      this.announce('Map details closed');
+      
+      // Back to the list, where the keyboard left off
+      const card = this.selectedEventId ? this.getEventCard(this.selectedEventId) : null;
+      if (card && !card.classList.contains('event-card--hidden')) {
+        card.focus();
+      }
+    });
+  }
+  
+  showCardOnMap(card) {
+    const event = this.store.get(card.dataset.id);
+    if (event) {
+      this.showEventOnMap(event);
+    }
+  }
+  
+  showEventOnMap(event) {
+    if (!this.map || !this.eventMarkerIndex.has(event.id)) {
+      this.announce(`${event.truck_name} at ${event.venue} isn't on the map`);
+      return;
+    }
+    this.focusOnEvent(event);
+  }
+  
+  getEventCard(eventId) {
+    return Array.from(document.querySelectorAll('.event-card[data-id]'))
+      .find(card => card.dataset.id === String(eventId)) || null;
+  }
+  
+  // Bring a card into view inside the list without scrolling the whole page
+  scrollListTo(card) {
+    const list = document.getElementById('events-list');
+    if (!list || !list.contains(card)) return;
+    
+    const listBox = list.getBoundingClientRect();
+    const cardBox = card.getBoundingClientRect();
+    if (cardBox.top < listBox.top || cardBox.bottom > listBox.bottom) {
+      list.scrollTop += cardBox.top - listBox.top - (list.clientHeight - cardBox.height) / 2;
+    }
+  }
+  
+  // Read out by screen readers through the aria-live region in index.html
+  announce(message) {
+    const region = document.getElementById('events-announcer');
+    if (region) {
+      region.textContent = message;
+    }
+  }
+  
+  addEventMarkers() {
+    // Clear existing markers and info windows
+    this.clearMarkers();
+    
+    if (!this.map) {
+      console.error('Map not initialized');
+      return;
+    }
+    
+    this.getMarkerStacks().forEach(stackEvents => this.addStackMarker(stackEvents));
+    this.syncClusterer();
+    
+    // Fit map to show all markers
+    if (this.markers.length > 0) {
+      this.fitMapToVisibleMarkers();
+    }
+  }
+  
+  // Markers after a live refresh, without moving the map: a venue stack that's still
+  // there keeps its marker (and open info window) with its events brought up to
+  // date; stacks that went away lose theirs and new ones get one. Returns the
+  // indexes of kept markers whose events changed, for refreshInfoWindows.
+  syncEventMarkers() {
+    if (!this.map) return [];
+    
+    const stacks = this.getMarkerStacks();
+    const previous = {
+      markers: this.markers,
+      infoWindows: this.infoWindows,
+      markerEvents: this.markerEvents,
+      markerStyles: this.markerStyles
+    };
+    const highlighted = this.highlightedMarker === null ? null : this.markers[this.highlightedMarker];
+    
+    this.markers = [];
+    this.infoWindows = [];
+    this.markerEvents = [];
+    this.markerStyles = [];
+    this.eventMarkerIndex = new Map();
+    
+    const changed = [];
+    let markersChanged = false;
+    previous.markers.forEach((marker, index) => {
+      const key = this.getStackKey(previous.markerEvents[index][0]);
+      const stackEvents = stacks.get(key);
+      if (!stackEvents) {
+        previous.infoWindows[index].close();
+        marker.remove();
+        markersChanged = true;
+        return;
+      }
+      stacks.delete(key);
+      
+      const newIndex = this.markers.length;
+      if (JSON.stringify(stackEvents) !== JSON.stringify(previous.markerEvents[index])) {
+        changed.push(newIndex);
+      }
+      this.markers.push(marker);
+      this.infoWindows.push(previous.infoWindows[index]);
+      this.markerEvents.push(stackEvents);
+      this.markerStyles.push(previous.markerStyles[index]);
+      stackEvents.forEach(event => this.eventMarkerIndex.set(event.id, newIndex));
+    });
+    
+    stacks.forEach(stackEvents => {
+      this.addStackMarker(stackEvents);
+      markersChanged = true;
+    });
+    
+    const highlightedIndex = this.markers.indexOf(highlighted);
+    this.highlightedMarker = highlightedIndex === -1 ? null : highlightedIndex;
+    if (markersChanged) {
+      this.syncClusterer();
+    }
+    return changed;
+  }
+  
+  // Open info windows show their marker's events as they are now
+  refreshInfoWindows(indexes) {
+    indexes.forEach(index => {
+      const infoWindow = this.infoWindows[index];
+      if (infoWindow.isOpen() && this.getVisibleMarkerEvents(index).length > 0) {
+        infoWindow.setContent(this.getMarkerContent(index, this.selectedEventId));
+      }
+    });
+  }
+  
+  // Events at the exact same coordinates share one "venue stack" marker, keyed by
+  // getStackKey and in time order
+  getMarkerStacks() {
+    const stacks = new Map();
+    
+    this.events.forEach(event => {
+      if (this.hasLocation(event)) {
+        const key = this.getStackKey(event);
+        if (!stacks.has(key)) {
+          stacks.set(key, []);
+        }
+        stacks.get(key).push(event);
+      }
+    });
+    
+    stacks.forEach(stackEvents => {
+      stackEvents.sort((a, b) => (Date.parse(a.start_ts) || 0) - (Date.parse(b.start_ts) || 0));
+    });
+    return stacks;
+  }
+  
+  getStackKey(event) {
+    return `${parseFloat(event.lat)},${parseFloat(event.lng)}`;
+  }
+  
+  addStackMarker(stackEvents) {
+    const first = stackEvents[0];
+    const position = { lat: parseFloat(first.lat), lng: parseFloat(first.lng) };
+    const index = this.markers.length;
+    
+    const marker = this.map.addMarker({
+      position: position,
+      title: this.getMarkerTitle(stackEvents),
+      label: this.getMarkerLabel(stackEvents),
+      icon: getPinIcon()
+    });
+    
+    const infoWindow = this.map.createInfoWindow();
+    
+    marker.on('click', () => {
+      // Live refresh can move markers around in the list
+      const markerIndex = this.markers.indexOf(marker);
+      this.closeAllInfoWindows();
+      infoWindow.setContent(this.getMarkerContent(markerIndex));
+      infoWindow.open(marker);
+      
+      const [firstVisible] = this.getVisibleMarkerEvents(markerIndex);
+      this.selectEvent(firstVisible ? firstVisible.id : null);
+    });
+    
+    this.markers.push(marker);
+    this.infoWindows.push(infoWindow);
+    this.markerEvents.push(stackEvents);
+    stackEvents.forEach(event => this.eventMarkerIndex.set(event.id, index));
+  }
+  
+  syncClusterer() {
+    if (!isMarkerClusteringEnabled()) return;
+    
+    if (!this.clusterer) {
+      // Badges count events, so a venue stack weighs as much as its visible events
+      this.clusterer = new MarkerClusterer(this.map, [], {
+        getWeight: (marker) => this.getVisibleMarkerEvents(this.markers.indexOf(marker)).length
+      });
+    }
+    this.clusterer.setMarkers(this.markers);
+  }
+  
+  fitMapToVisibleMarkers() {
+    if (!this.map) return;
+    
+    // In "Near me" mode the search radius frames the map, centered on the origin
+    if (this.originCircle) {
+      this.map.fitBounds(this.originCircle.getBounds());
+      return;
+    }
+    
+    const visibleMarkers = this.markers.filter(marker => marker.getVisible());
+    if (visibleMarkers.length === 0) return;
+    
+    this.map.fitBounds(visibleMarkers.map(marker => marker.getPosition()));
+    
+    // Don't zoom in too much if there's only one marker
+    if (visibleMarkers.length === 1) {
+      this.map.setZoom(15);
+    }
+  }
+  
+  clearMarkers() {
+    if (this.clusterer) {
+      this.clusterer.clear();
+    }
+    
+    // Remove all markers from map
+    this.markers.forEach(marker => {
+      marker.remove();
+    });
+    this.markers = [];
+    this.markerStyles = [];
+    this.highlightedMarker = null;
+    
+    // Close all info windows
+    this.infoWindows.forEach(infoWindow => {
+      infoWindow.close();
+    });
+    this.infoWindows = [];
+    this.markerEvents = [];
+    this.eventMarkerIndex = new Map();
+  }
+  
+  closeAllInfoWindows() {
+    this.infoWindows.forEach(infoWindow => {
+      infoWindow.close();
+    });
+  }
+  
+  getVisibleMarkerEvents(index) {
+    const stackEvents = this.markerEvents[index] || [];
+    if (!this.visibleEventIds) return stackEvents;
+    return stackEvents.filter(event => this.visibleEventIds.has(event.id));
+  }
+  
+  getMarkerTitle(stackEvents) {
+    if (stackEvents.length === 1) {
+      const event = stackEvents[0];
+      const level = EventStore.getConfidenceLevel(event);
+      const unconfirmed = level === 'unconfirmed' ? ' (unconfirmed)' : '';
+      return `${event.truck_name} at ${event.venue} - ${formatEventDateTime(event.start_ts, event.end_ts)}${unconfirmed}`;
+    }
+    return `${stackEvents[0].venue} - ${stackEvents.length} events`;
+  }
+  
+  // A venue stack shows its liveliest event: happening now beats starting soon, and so on
+  getMarkerStatus(stackEvents) {
+    const priority = ['now', 'soon', 'upcoming', 'ended'];
+    const statuses = stackEvents.map(event => this.getStatus(event));
+    return priority.find(status => statuses.includes(status)) || 'upcoming';
+  }
+  
+  // The most certain level among a stack's events
+  getMarkerConfidence(stackEvents) {
+    const levels = Object.keys(EventStore.CONFIDENCE_LABELS);
+    const stackLevels = stackEvents.map(event => EventStore.getConfidenceLevel(event));
+    return levels.find(level => stackLevels.includes(level)) || 'unconfirmed';
+  }
+  
+  // Stacks with a followed truck use the followed pin and sit above others of the same status
+  applyMarkerStyle(index, stackEvents) {
+    const status = this.getMarkerStatus(stackEvents);
+    const confidence = this.getMarkerConfidence(stackEvents);
+    const followed = stackEvents.some(event => this.following.has(event.truck_name));
+    const highlighted = index === this.highlightedMarker;
+    const key = `${status}:${confidence}:${followed}:${highlighted}`;
+    if (this.markerStyles[index] === key) return;
+    
+    const marker = this.markers[index];
+    const style = highlighted ? MARKER_HIGHLIGHT_STYLE : MARKER_STATUS_STYLES[status];
+    this.markerStyles[index] = key;
+    marker.setIcon(followed ? getFollowedPinIcon(style.scale) : getPinIcon(style.scale));
+    marker.setOpacity(highlighted ? style.opacity : style.opacity * MARKER_CONFIDENCE_OPACITY[confidence]);
+    marker.setZIndex(style.zIndex + (followed ? 50 : 0));
+  }
+  
+  // Marker index (or null) whose card is hovered or focused in the list
+  highlightMarker(index) {
+    if (this.highlightedMarker === index) return;
+    
+    const previous = this.highlightedMarker;
+    this.highlightedMarker = index;
+    
+    [previous, index].forEach(markerIndex => {
+      if (markerIndex === null) return;
+      const stackEvents = this.getVisibleMarkerEvents(markerIndex);
+      if (stackEvents.length > 0) {
+        this.applyMarkerStyle(markerIndex, stackEvents);
+      }
+    });
+  }
+  
+  getMarkerLabel(stackEvents) {
+    if (stackEvents.length < 2) return null;
+    return { text: String(stackEvents.length) };
+  }
+  
+  getMarkerContent(index, selectedEventId = null) {
+    const stackEvents = this.getVisibleMarkerEvents(index);
+    
+    if (stackEvents.length === 1) {
+      return this.createInfoWindowContent(stackEvents[0]);
+    }
+    return this.createVenueStackContent(stackEvents, selectedEventId);
+  }
+  
+  createInfoWindowContent(event) {
+    const eventDateTime = formatEventDateTime(event.start_ts, event.end_ts);
+    const distanceText = this.getDistanceText(event);
+    const sourceUrl = safeUrl(event.source_url);
+    const directionsUrl = getDirectionsUrl(event.lat, event.lng);
+    
+    return html`
+      <div class="map-info">
+        <h3 class="map-info__title">${event.truck_name} ${this.following.renderButton(event.truck_name)}</h3>
+        <p class="map-info__venue">${event.venue}</p>
+        ${this.getStatusBadge(event)}${this.getNewBadge(event)}${this.getChangeBadge(event)}${renderConfidenceBadge(event)}
+        <p class="map-info__datetime">📅 ${eventDateTime}</p>
+        ${distanceText ? html`<p class="map-info__distance">📏 ${distanceText}</p>` : ''}
+        <p class="map-info__address">${event.address}</p>
+        ${renderAlsoReported(event, 'map-info__also')}
+        <div class="map-info__actions">
+          ${directionsUrl ? html`<a href="${directionsUrl}" target="_blank" class="btn btn--small btn--secondary">Directions</a>` : ''}
+          ${event.start_ts ? html`<button type="button" class="btn btn--small btn--secondary" data-calendar-event-id="${event.id}">Add to calendar</button>` : ''}
+          <button type="button" class="btn btn--small btn--secondary" data-share-event-id="${event.id}">Share</button>
+          ${getCrawlPlanner().renderButton(event.id, 'btn btn--small btn--secondary')}
+          ${sourceUrl ? html`<a href="${sourceUrl}" target="_blank" class="btn btn--small btn--primary">${getSourceLinkText(sourceUrl)}</a>` : ''}
+        </div>
+      </div>
+    `;
+  }
+  
+  createVenueStackContent(stackEvents, selectedEventId) {
+    const first = stackEvents[0];
+    const distanceText = this.getDistanceText(first);
+    const directionsUrl = getDirectionsUrl(first.lat, first.lng);
+    
+    // Every event at this spot, in time order, with the focused one highlighted
+    const entries = stackEvents.map(event => {
+      const selected = event.id === selectedEventId;
+      const sourceUrl = safeUrl(event.source_url);
+      const venue = event.venue !== first.venue ? html` <span class="map-info__entry-venue">at ${event.venue}</span>` : '';
+      
+      return html`
+        <li class="map-info__entry${selected ? ' map-info__entry--selected' : ''}" data-event-id="${event.id}">
+          <strong class="map-info__entry-truck">${event.truck_name}</strong> ${this.following.renderButton(event.truck_name)}${venue}
+          ${this.getStatusBadge(event)}${this.getNewBadge(event)}${this.getChangeBadge(event)}${renderConfidenceBadge(event)}
+          <span class="map-info__entry-datetime">📅 ${formatEventDateTime(event.start_ts, event.end_ts)}</span>
+          ${sourceUrl ? html`<a href="${sourceUrl}" target="_blank" class="map-info__entry-link">${getSourceLinkText(sourceUrl)}</a>` : ''}
+          ${renderAlsoReported(event, 'map-info__entry-also')}
+          ${event.start_ts ? html`<button type="button" class="map-info__entry-calendar" data-calendar-event-id="${event.id}">Add to calendar</button>` : ''}
+          <button type="button" class="map-info__entry-share" data-share-event-id="${event.id}">Share</button>
+          ${getCrawlPlanner().renderButton(event.id, 'map-info__entry-crawl')}
+        </li>
+      `;
+    });
+    
+    return html`
+      <div class="map-info map-info--stack">
+        <h3 class="map-info__title">${first.venue}</h3>
+        <p class="map-info__count">${stackEvents.length} events at this spot</p>
+        ${distanceText ? html`<p class="map-info__distance">📏 ${distanceText}</p>` : ''}
+        <p class="map-info__address">${first.address}</p>
+        <ol class="map-info__entries">${entries}</ol>
+        <div class="map-info__actions">
+          ${directionsUrl ? html`<a href="${directionsUrl}" target="_blank" class="btn btn--small btn--secondary">Directions</a>` : ''}
+        </div>
+      </div>
+    `;
+  }
+  
+  focusOnEvent(event) {
+    if (!this.map) return;
+    
+    // Find the marker for this event - venue stacks share one marker, so go by id
+    const markerIndex = this.eventMarkerIndex.has(event.id) ? this.eventMarkerIndex.get(event.id) : -1;
+    
+    // Events hidden by the filters (ended, other trucks...) have nothing on the map to open
+    if (markerIndex !== -1 && this.getVisibleMarkerEvents(markerIndex).length === 0) {
+      return;
+    }
+    
+    if (markerIndex !== -1) {
+      const marker = this.markers[markerIndex];
+      const infoWindow = this.infoWindows[markerIndex];
+      
+      // Close all other info windows
+      this.closeAllInfoWindows();
+      
+      // Center the map on this marker
+      this.map.focus(marker.getPosition(), 16);
+      
+      // The marker may be folded into a cluster; the info window needs it on the map
+      if (this.clusterer) {
+        this.clusterer.reveal(marker);
+      }
+      
+      // Open the info window for this marker, with this event highlighted
+      infoWindow.setContent(this.getMarkerContent(markerIndex, event.id));
+      infoWindow.open(marker);
+      
+      this.selectEvent(event.id);
+    }
+  }
+  
+  // The selected event's card is highlighted and announced, and each selection
+  // is a back/forward step (see url-state.js)
+  selectEvent(eventId) {
+    this.selectedEventId = eventId;
+    
+    document.querySelectorAll('.event-card--selected').forEach(card => {
+      card.classList.remove('event-card--selected');
+    });
+    
+    const event = eventId ? this.store.get(eventId) : null;
+    const card = eventId ? this.getEventCard(eventId) : null;
+    if (card && !card.classList.contains('event-card--hidden')) {
+      card.classList.add('event-card--selected');
+      this.scrollListTo(card);
+    }
+    if (this.calendar) {
+      this.calendar.markSelected(eventId);
+    }
+    
+    if (event) {
+      const index = this.eventMarkerIndex.get(event.id);
+      const others = index === undefined ? 0 : this.getVisibleMarkerEvents(index).length - 1;
+      this.announce(`Selected ${event.truck_name} at ${event.venue}, ${formatEventDateTime(event.start_ts, event.end_ts)}` +
+        (others > 0 ? `, and ${others} more at this spot` : ''));
+    }
+    
+    this.updateUrl(true);
+  }
+  
+  setupFilters() {
+    const form = document.getElementById('filters-form');
+    if (!form) return;
+    
+    const readFilters = () => {
+      const previousRadius = this.filters.radius;
+      this.filters = {
+        date: form.elements.date.value,
+        trucks: Array.from(form.elements.trucks.selectedOptions).map(option => option.value),
+        venue: form.elements.venue.value.trim().toLowerCase(),
+        radius: form.elements.radius ? Number(form.elements.radius.value) : SERVICE_AREA_MILES,
+        showEnded: form.elements.show_ended ? form.elements.show_ended.checked : false,
+        myTrucks: form.elements.my_trucks ? form.elements.my_trucks.checked : false,
+        confidence: form.elements.confidence ? form.elements.confidence.value : 'all'
+      };
+      
+      if (this.filters.radius !== previousRadius) {
+        this.updateOriginDisplay();
+      }
+      this.applyFilters();
+    };
+    
+    form.addEventListener('input', readFilters);
+    form.addEventListener('change', readFilters);
+    form.addEventListener('submit', (e) => e.preventDefault());
+    
+    // Form fields are only reset after the reset event has been dispatched
+    form.addEventListener('reset', () => setTimeout(() => {
+      this.resetOrigin();
+      readFilters();
+    }, 0));
+  }
+  
+  applyFilters(options = {}) {
+    const visibleIds = new Set();
+    
+    document.querySelectorAll('.event-card[data-id]').forEach(card => {
+      const event = this.findSiteEvent(card.dataset.id);
+      // Cards of reports merged into another event stay hidden (event-dedup.js)
+      const visible = !!event && event.id === card.dataset.id && this.matchesFilters(event);
+      
+      card.classList.toggle('event-card--hidden', !visible);
+      if (visible) {
+        visibleIds.add(card.dataset.id);
+      }
+    });
+    
+    // Keep the map in step with the list; a venue stack stays while any of its events match
+    this.visibleEventIds = visibleIds;
+    this.markers.forEach((marker, index) => {
+      const stackEvents = this.getVisibleMarkerEvents(index);
+      const visible = stackEvents.length > 0;
+      
+      marker.setVisible(visible);
+      if (visible) {
+        this.applyMarkerStyle(index, stackEvents);
+        marker.setLabel(this.getMarkerLabel(stackEvents));
+        marker.setTitle(this.getMarkerTitle(stackEvents));
+      } else {
+        this.infoWindows[index].close();
+      }
+    });
+    
+    if (this.clusterer) {
+      this.clusterer.render();
+    }
+    if (options.fitMap !== false) {
+      this.fitMapToVisibleMarkers();
+    }
+    
+    const countElement = document.getElementById('events-count');
+    if (countElement) {
+      countElement.textContent = visibleIds.size;
+    }
+    
+    const emptyElement = document.getElementById('events-empty');
+    if (emptyElement) {
+      emptyElement.hidden = visibleIds.size > 0;
+    }
+    
+    if (this.calendar) {
+      this.calendar.render();
+    }
+    if (this.layers) {
+      this.layers.render();
+    }
+    
+    this.updateUrl();
+  }
+  
+  matchesFilters(event) {
+    const { date, trucks, venue, showEnded, myTrucks, confidence } = this.filters;
+    
+    if (myTrucks && !this.following.has(event.truck_name)) {
+      return false;
+    }
+    
+    if (!this.meetsConfidence(event, confidence)) {
+      return false;
+    }
+    
+    if (!showEnded && this.getStatus(event) === 'ended') {
+      return false;
+    }
+    
+    if (this.layers && !this.layers.matchesTimeSlot(event)) {
+      return false;
+    }
+    
+    // Events without coordinates can't be placed, so only "Near me" hides them
+    if (this.hasLocation(event) ? !this.isWithinDistance(event) : this.isNearMeActive()) {
+      return false;
+    }
+    
+    if (trucks.length > 0 && !trucks.includes(event.truck_name)) {
+      return false;
+    }
+    
+    if (venue) {
+      const haystack = [event.venue, event.address, event.formatted_address, event.city]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      if (!haystack.includes(venue)) {
+        return false;
+      }
+    }
+    
+    const range = this.getDateRange(date);
+    if (range) {
+      const start = event.start_ts ? getEventTimeFormatter().getParts(event.start_ts) : null;
+      if (!start || start.dayNumber < range.start || start.dayNumber >= range.end) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+  
+  // Levels run most to least certain, so 'likely' keeps confirmed and likely stops
+  meetsConfidence(event, minimum) {
+    const levels = Object.keys(EventStore.CONFIDENCE_LABELS);
+    if (!levels.includes(minimum)) return true;
+    return levels.indexOf(EventStore.getConfidenceLevel(event)) <= levels.indexOf(minimum);
+  }
+  
+  getDateRange(value, now = new Date()) {
+    // Returns { start, end } as day numbers (end exclusive) or null for "all dates".
+    // Days are the site's timezone's, as on the cards and in the calendar, not the visitor's.
+    const today = getEventTimeFormatter().getParts(now).dayNumber;
+    
+    if (value === 'today') {
+      return { start: today, end: today + 1 };
+    }
+    
+    if (value === 'weekend') {
+      // Saturday and Sunday; on a Sunday that is just the rest of today.
+      // Day 0 (Jan 1, 1970) was a Thursday, so Sunday is 0 here
+      const weekday = (today + 4) % 7;
+      const start = weekday === 0 ? today : today + 6 - weekday;
+      const end = today + (weekday === 0 ? 1 : 8 - weekday);
+      return { start: start, end: end };
+    }
+    
+    const days = parseInt(value, 10);
+    if (days > 0) {
+      return { start: today, end: today + days };
+    }
+    
+    return null;
+  }
+  
+  setupNearMe() {
+    const locateButton = document.getElementById('near-me-locate');
+    const placeInput = document.getElementById('near-me-place');
+    const placeButton = document.getElementById('near-me-search');
+    
+    if (locateButton) {
+      locateButton.addEventListener('click', () => this.locateUser());
+    }
+    
+    if (placeInput) {
+      const searchPlace = () => {
+        if (placeInput.value.trim()) {
+          this.setOriginFromPlace(placeInput.value);
+        }
+      };
+      
+      placeInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          searchPlace();
+        }
+      });
+      placeInput.addEventListener('change', searchPlace);
+      
+      if (placeButton) {
+        placeButton.addEventListener('click', searchPlace);
+      }
+    }
+    
+    this.updateOriginDisplay();
+  }
+  
+  locateUser() {
+    const placeInput = document.getElementById('near-me-place');
+    const fallBackToPlace = (message) => {
+      this.setNearMeStatus(message);
+      if (placeInput) placeInput.focus();
+    };
+    
+    if (!navigator.geolocation) {
+      fallBackToPlace('Location isn\'t available in this browser. Type a venue or neighborhood instead.');
+      return;
+    }
+    
+    this.setNearMeStatus('Finding your location…');
+    
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        this.setOrigin({
+          lat: position.coords.latitude,
+          lng: position.coords.longitude,
+          label: 'your location',
+          source: 'geolocation'
+        });
+      },
+      (error) => {
+        console.warn('Geolocation failed:', error);
+        if (error.code === error.PERMISSION_DENIED) {
+          fallBackToPlace('Location permission denied. Type a venue or neighborhood instead.');
+        } else {
+          fallBackToPlace('Couldn\'t find your location. Type a venue or neighborhood instead.');
+        }
+      },
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000 }
+    );
+  }
+  
+  setOriginFromPlace(query) {
+    const place = this.lookupPlace(query);
+    
+    if (!place) {
+      this.setNearMeStatus(`No venue or neighborhood matching "${query.trim()}".`);
+      return;
+    }
+    
+    this.setOrigin(Object.assign({ source: 'place' }, place));
+  }
+  
+  lookupPlace(query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return null;
+    
+    // Geocoding cache keys look like "<venue>_<address>_<city>"
+    const candidates = Object.entries(window.siteData?.locations || {}).map(([key, location]) => {
+      const [venue, address, ...city] = key.split('_');
+      return {
+        label: venue || location.formatted_address,
+        text: [venue, address, city.join(' '), location.formatted_address].join(' '),
+        lat: location.lat,
+        lng: location.lng
+      };
+    });
+    
+    // Venues and addresses from the events themselves cover anything not cached yet
+    this.store.query({ withLocation: true }).forEach(event => {
+      candidates.push({
+        label: event.venue,
+        text: [event.venue, event.address, event.city].join(' '),
+        lat: event.lat,
+        lng: event.lng
+      });
+    });
+    
+    const match = candidates.find(c => (c.label || '').toLowerCase() === needle) ||
+      candidates.find(c => (c.label || '').toLowerCase().startsWith(needle)) ||
+      candidates.find(c => c.text.toLowerCase().includes(needle));
+    
+    return match ? { lat: match.lat, lng: match.lng, label: match.label } : null;
+  }
+  
+  setOrigin(origin) {
+    this.origin = origin;
+    
+    // Coming from the whole service area, start with a walkable radius
+    const radiusInput = document.getElementById('filter-radius');
+    if (radiusInput && Number(radiusInput.value) >= SERVICE_AREA_MILES) {
+      radiusInput.value = NEAR_ME_RADIUS_MILES;
+      this.filters.radius = NEAR_ME_RADIUS_MILES;
+    }
+    
+    this.updateOriginDisplay();
+    this.applyFilters();
+    this.sortEvents();
+  }
+  
+  resetOrigin() {
+    if (!this.isNearMeActive()) return;
+    
+    this.origin = Object.assign({ source: 'default' }, DEFAULT_ORIGIN);
+    this.updateOriginDisplay();
+    this.sortEvents();
+  }
+  
+  updateOriginDisplay() {
+    const nearMe = this.isNearMeActive();
+    
+    const radiusOutput = document.getElementById('filter-radius-value');
+    if (radiusOutput) {
+      radiusOutput.textContent = `${this.filters.radius} mi of ${this.origin.label}`;
+    }
+    
+    const originOption = document.querySelector('#sort-origin option[value="origin"]');
+    if (originOption) {
+      originOption.textContent = `from ${this.origin.label}`;
+    }
+    
+    this.setNearMeStatus(nearMe ? `Showing events near ${this.origin.label}.` : '');
+    this.updateOriginOverlay();
+    // A crawl sets out from the near-me location, or from wherever the visitor is
+    if (this.crawl) {
+      this.crawl.setOrigin(nearMe ? this.origin : null);
+    }
+    this.updateDistanceLabels();
+    
+    // Refresh the distance line in any info window that's already been opened
+    // (markers hidden by the filters have nothing to show)
+    this.infoWindows.forEach((infoWindow, index) => {
+      if (infoWindow.getContent() && this.getVisibleMarkerEvents(index).length > 0) {
+        infoWindow.setContent(this.getMarkerContent(index));
+      }
+    });
+  }
+  
+  updateOriginOverlay() {
+    if (!this.map) return;
+    
+    if (!this.isNearMeActive()) {
+      if (this.originMarker) this.originMarker.remove();
+      if (this.originCircle) this.originCircle.remove();
+      this.originMarker = null;
+      this.originCircle = null;
+      return;
+    }
+    
+    const center = { lat: this.origin.lat, lng: this.origin.lng };
+    const radiusMeters = this.filters.radius * 1609.34;
+    
+    if (!this.originMarker) {
+      this.originMarker = this.map.addMarker({
+        position: center,
+        title: this.origin.label,
+        zIndex: 1000,
+        icon: { dot: { color: '#3981c4', radius: 7 } }
+      });
+      this.originCircle = this.map.addCircle({
+        center: center,
+        radiusMeters: radiusMeters,
+        color: '#3981c4'
+      });
+    } else {
+      this.originMarker.setPosition(center);
+      this.originMarker.setTitle(this.origin.label);
+      this.originCircle.setCenter(center);
+      this.originCircle.setRadius(radiusMeters);
+    }
+  }
+  
+  updateDistanceLabels() {
+    document.querySelectorAll('.event-card[data-id]').forEach(card => {
+      const event = this.findSiteEvent(card.dataset.id) || {};
+      const distanceText = this.getDistanceText(event);
+      let label = card.querySelector('.event-card__distance');
+      
+      if (!distanceText) {
+        if (label) label.remove();
+        return;
+      }
+      
+      if (!label) {
+        label = document.createElement('p');
+        label.className = 'event-card__distance';
+        card.querySelector('.event-card__content').appendChild(label);
+      }
+      label.textContent = `📏 ${distanceText}`;
+    });
+  }
+  
+  getDistanceText(event) {
+    if (!this.isNearMeActive()) return '';
+    
+    const distance = this.getDistanceFromOrigin(event);
+    if (distance === null) return '';
+    
+    const suffix = this.origin.source === 'geolocation' ? 'away' : `from ${this.origin.label}`;
+    return `${this.formatDistance(distance)} ${suffix}`;
+  }
+  
+  setNearMeStatus(message) {
+    const status = document.getElementById('near-me-status');
+    if (status) {
+      status.textContent = message;
+    }
+  }
+  
+  findSiteEvent(eventId) {
+    return this.store.get(eventId);
+  }
+  
+  setupSorting() {
+    const modeSelect = document.getElementById('sort-mode');
+    const originSelect = document.getElementById('sort-origin');
+    if (!modeSelect) return;
+    
+    this.sort = Object.assign(this.sort, this.loadSortPreference());
+    modeSelect.value = this.sort.mode;
+    if (originSelect) {
+      // A preference saved with an origin the select no longer has starts from the default
+      originSelect.value = this.sort.origin;
+      if (!originSelect.value) {
+        originSelect.value = DEFAULT_SORT_ORIGIN;
+      }
+      this.sort.origin = originSelect.value;
+    }
+    
+    const readSort = () => {
+      this.sort = {
+        mode: modeSelect.value,
+        origin: originSelect ? originSelect.value : DEFAULT_SORT_ORIGIN
+      };
+      this.saveSortPreference();
+      this.sortEvents();
+      this.updateUrl();
+    };
+    
+    modeSelect.addEventListener('change', readSort);
+    if (originSelect) {
+      originSelect.addEventListener('change', readSort);
+    }
+    
+    this.sortEvents();
+  }
+  
+  loadSortPreference() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.sortStorageKey));
+      return saved && typeof saved === 'object' ? saved : {};
+    } catch (error) {
+      console.warn('Could not read saved sort order:', error);
+      return {};
+    }
+  }
+  
+  saveSortPreference() {
     try {
-      this.initializeMap();
-      this.getEventsFromPage();
-      this.setupEventHandlers();
-      this.addEventMarkers();
+      localStorage.setItem(this.sortStorageKey, JSON.stringify(this.sort));
     } catch (error) {
-      console.error('Failed to initialize app:', error);
+      console.warn('Could not save sort order:', error);
     }
   }
   
-  getEventsFromPage() {
-    // Get events from server-rendered HTML
-    const eventCards = document.querySelectorAll('.event-card');
-    this.events = [];
-    
-    eventCards.forEach(card => {
-      const button = card.querySelector('[data-event-id]');
-      if (button) {
-        // Get all the data we need from the rendered HTML
-        const truckElement = card.querySelector('.event-card__truck');
-        const venueElement = card.querySelector('.event-card__venue');
-        const locationElement = card.querySelector('.event-card__location');
-        
-        // Extract address from location element
-        let raw_address = '';
-        let city = '';
-        
-        if (locationElement && !locationElement.classList.contains('event-card__location--unavailable')) {
-          const locationText = locationElement.textContent.replace('📍 ', '');
-          // If it contains a comma, split it (raw_address, city format)
-          if (locationText.includes(',')) {
-            const parts = locationText.split(',');
-            raw_address = parts[0].trim();
-            city = parts[1]?.trim() || '';
-          } else {
-            // Use the full text as address (formatted_address format)
-            raw_address = locationText;
-            city = '';
-          }
-        }
-        
-        // Find the full event data from window.siteData
-        const eventId = button.dataset.eventId;
-        const fullEventData = window.siteData?.events?.find(e => e.id === eventId) || {};
-        
-        const event = {
-          id: button.dataset.eventId,
-          lat: parseFloat(button.dataset.lat),
-          lng: parseFloat(button.dataset.lng),
-          truck_name: truckElement ? truckElement.textContent : '',
-          venue: venueElement ? venueElement.textContent : '',
-          raw_address: raw_address,
-          city: city,
-          start_ts: fullEventData.start_ts,
-          end_ts: fullEventData.end_ts,
-          source_url: fullEventData.source_url
-        };
-        
-        // Filter events within 100 miles of Pittsburgh
-        if (this.isWithinDistance(event)) {
-          this.events.push(event);
-        } else {
-          console.log(`🚫 Filtering out event ${event.truck_name} at ${event.venue} (${event.city}) - too far from Pittsburgh`);
-        }
-      }
-    });
+  getSortOrigin() {
+    if (this.sort.origin === 'map' && this.map) {
+      return this.map.getCenter();
+    }
     
-    console.log(`Found ${this.events.length} events within ${this.maxDistanceMiles} miles of Pittsburgh`);
-    return this.events;
+    return { lat: this.origin.lat, lng: this.origin.lng };
   }
   
-  isWithinDistance(event) {
-    // Skip events without valid coordinates
-    if (!event.lat || !event.lng || event.lat === 0 || event.lng === 0) {
-      return false;
+  sortEvents() {
+    const list = document.getElementById('events-list');
+    if (!list) return;
+    
+    const originSelect = document.getElementById('sort-origin');
+    if (originSelect) {
+      originSelect.hidden = this.sort.mode !== 'distance';
     }
     
-    const distance = this.calculateDistance(
-      this.pittsburghLat, 
-      this.pittsburghLng, 
-      event.lat, 
-      event.lng
-    );
+    const origin = this.getSortOrigin();
+    const cards = Array.from(list.querySelectorAll('.event-card[data-id]')).map(card => {
+      const event = this.findSiteEvent(card.dataset.id) || {};
+      
+      return {
+        card: card,
+        event: event,
+        distance: this.hasLocation(event) ? this.calculateDistance(origin.lat, origin.lng, event.lat, event.lng) : Infinity
+      };
+    });
     
-    return distance <= this.maxDistanceMiles;
+    cards.sort((a, b) => this.compareEvents(a, b, this.sort.mode));
+    
+    // Re-append in order; keep the "no matches" message at the end
+    const emptyElement = document.getElementById('events-empty');
+    cards.forEach(({ card }) => list.insertBefore(card, emptyElement));
   }
   
-  calculateDistance(lat1, lng1, lat2, lng2) {
-    // Haversine formula to calculate distance between two points
-    // Returns distance in miles
+  compareEvents(a, b, mode) {
+    const byDate = (Date.parse(a.event.start_ts) || 0) - (Date.parse(b.event.start_ts) || 0);
     
-    // Convert to radians
-    const lat1Rad = lat1 * Math.PI / 180;
-    const lng1Rad = lng1 * Math.PI / 180;
-    const lat2Rad = lat2 * Math.PI / 180;
-    const lng2Rad = lng2 * Math.PI / 180;
+    switch (mode) {
+      case 'truck':
+        return (a.event.truck_name || '').localeCompare(b.event.truck_name || '', 'en', { sensitivity: 'base' }) || byDate;
+      case 'distance':
+        // Events without coordinates sink to the bottom
+        if (a.distance === b.distance) return byDate;
+        return a.distance < b.distance ? -1 : 1;
+      case 'confidence':
+        return (Number(b.event.confidence) || 0) - (Number(a.event.confidence) || 0) || byDate;
+      default:
+        return byDate;
+    }
+  }
+  
+  // ---- Live refresh (live-refresh.js) ----
+  
+  setupLiveRefresh() {
+    // Only the home page lists every event
+    if (!document.getElementById('live-refresh-status')) return;
     
-    // Earth's radius in miles
-    const earthRadius = 3959;
+    this.liveRefresh = LiveRefresh.fromSiteConfig(this.store);
+    if (!this.liveRefresh) return;
     
-    // Calculate differences
-    const dlat = lat2Rad - lat1Rad;
-    const dlng = lng2Rad - lng1Rad;
+    this.liveRefresh.subscribe(() => this.updateLiveStatus());
     
-    // Haversine formula
-    const a = Math.sin(dlat/2)**2 + Math.cos(lat1Rad) * Math.cos(lat2Rad) * Math.sin(dlng/2)**2;
-    const c = 2 * Math.asin(Math.sqrt(a));
+    const retryButton = document.getElementById('live-refresh-retry');
+    if (retryButton) {
+      retryButton.addEventListener('click', () => this.liveRefresh.refresh());
+    }
     
-    // Distance in miles
-    return earthRadius * c;
+    this.liveRefresh.start();
+    this.updateLiveStatus();
   }
   
-  formatEventDateTime(startTs, endTs) {
-    if (!startTs) return 'Time TBD';
-    
-    const startDate = new Date(startTs);
-    const endDate = endTs ? new Date(endTs) : null;
+  // "Live · updated 3:42 PM", or a warning once the data has gone stale
+  updateLiveStatus() {
+    const status = document.getElementById('live-refresh-status');
+    if (!status || !this.liveRefresh) return;
     
-    // Format date to match event cards (e.g., "Sep 27")
-    const dateOptions = { 
-      month: 'short', 
-      day: 'numeric' 
-    };
-    const dateStr = startDate.toLocaleDateString('en-US', dateOptions);
+    const formatter = getEventTimeFormatter();
+    const updated = formatter.getParts(new Date(this.liveRefresh.updatedAt));
+    const updatedLabel = `${formatter.formatDayLabel(updated)} ${formatter.formatClock(updated)}`;
+    const stale = this.liveRefresh.isStale();
+    const failing = !!this.liveRefresh.lastError;
     
-    // Format time in 24-hour format to match event cards (e.g., "09:08")
-    const startTime = startDate.toLocaleTimeString('en-US', { 
-      hour: '2-digit', 
-      minute: '2-digit',
-      hour12: false 
-    });
+    const text = document.getElementById('live-refresh-text');
+    if (text) {
+      if (stale) {
+        text.textContent = `⚠️ Schedule may be out of date - last updated ${updatedLabel}`;
+      } else {
+        text.textContent = `Live · updated ${updatedLabel}${failing ? ' · retrying' : ''}`;
+      }
+    }
     
-    let timeStr = startTime;
-    if (endDate && endDate.getTime() !== startDate.getTime()) {
-      const endTime = endDate.toLocaleTimeString('en-US', { 
-        hour: '2-digit', 
-        minute: '2-digit',
-        hour12: false 
-      });
-      timeStr = `${startTime} - ${endTime}`;
-    } else {
-      timeStr = `${startTime}+`;
+    const retryButton = document.getElementById('live-refresh-retry');
+    if (retryButton) {
+      retryButton.hidden = !stale && !failing;
     }
     
-    return `${dateStr} ${timeStr}`;
+    status.classList.toggle('events__live--stale', stale);
+    status.hidden = false;
   }
   
-  initializeMap() {
-    if (typeof google === 'undefined') {
-      console.error('Google Maps API not loaded');
-      return;
-    }
-    
-    const mapElement = document.getElementById('main-map');
-    if (!mapElement) return;
+  // Cards for events that arrived after the build, the same as _includes/event-card.html.
+  // Updated events get a fresh card too, since the venue and address may have changed.
+  syncEventCards() {
+    const list = document.getElementById('events-list');
+    const emptyElement = document.getElementById('events-empty');
+    if (!list || !emptyElement) return;
     
-    // Default to Pittsburgh center
-    const pittsburgh = { lat: 40.4406, lng: -79.9959 };
-    
-    this.map = new google.maps.Map(mapElement, {
-      zoom: 12,
-      center: pittsburgh,
-      mapTypeControl: false,
-      streetViewControl: false,
-      fullscreenControl: false,
-      zoomControl: true,
-      zoomControlOptions: {
-        position: google.maps.ControlPosition.TOP_LEFT
-      },
-      styles: [
-        {
-          featureType: 'poi',
-          elementType: 'labels',
-          stylers: [{ visibility: 'off' }]
+    let changed = false;
+    this.events.forEach(event => {
+      const card = this.getEventCard(event.id);
+      const fields = this.getCardFields(event);
+      
+      // Rebuilding a card closes its menus, so only stale ones are: cards from the
+      // build once live refresh updates their event, then whenever what they show changes
+      if (card) {
+        const shown = this.cardFields.get(event.id);
+        const stale = shown === undefined
+          ? !!this.liveRefresh && this.liveRefresh.getChange(event.id) === 'updated'
+          : shown !== fields;
+        if (!stale) return;
+      }
+      
+      const template = document.createElement('template');
+      template.innerHTML = this.renderEventCard(event);
+      const newCard = template.content.firstElementChild;
+      
+      if (card) {
+        const focused = document.activeElement === card;
+        card.replaceWith(newCard);
+        if (focused) {
+          newCard.focus();
         }
-      ]
+      } else {
+        list.insertBefore(newCard, emptyElement);
+      }
+      this.cardFields.set(event.id, fields);
+      changed = true;
     });
     
-    this.addEventMarkers();
+    if (changed) {
+      this.following.syncButtons(list);
+      getReminders().render();
+      getCrawlPlanner().syncButtons(list);
+    }
   }
   
-  setupEventHandlers() {
-    // Add click handlers for "View on Map" buttons
-    document.querySelectorAll('[data-event-id]').forEach(button => {
-      button.addEventListener('click', (e) => {
-        e.preventDefault();
-        const eventId = button.dataset.eventId;
-        const lat = parseFloat(button.dataset.lat);
-        const lng = parseFloat(button.dataset.lng);
+  // What renderEventCard shows of an event (the follow, reminder and crawl
+  // controls keep themselves in step)
+  getCardFields(event) {
+    return JSON.stringify([
+      event.venue,
+      event.truck_name,
+      event.confidence,
+      event.start_ts,
+      event.end_ts,
+      event.address,
+      event.lat,
+      event.lng
+    ]);
+  }
+  
+  renderEventCard(event) {
+    const hasLocation = this.hasLocation(event);
+    const date = getEventTimeFormatter().getParts(event.start_ts);
+    const directionsUrl = getDirectionsUrl(event.lat, event.lng);
+    
+    return html`
+      <div class="event-card${hasLocation ? '' : ' event-card--no-actions'}" data-id="${event.id}" tabindex="0">
+        <div class="event-card__date">
+          <span class="date__month">${date ? date.month : ''}</span>
+          <span class="date__day">${date ? String(date.day).padStart(2, '0') : ''}</span>
+        </div>
         
-        this.focusOnEvent({ id: eventId, lat: lat, lng: lng });
+        <div class="event-card__content">
+          <h3 class="event-card__venue">${event.venue}</h3>
+          <p class="event-card__truck">
+            ${event.truck_name}
+            ${this.following.renderButton(event.truck_name)}
+            ${renderConfidenceBadge(event, 'event-card__confidence')}
+          </p>
+          <p class="event-card__time">${formatEventDateTime(event.start_ts, event.end_ts)}</p>
+          ${event.start_ts ? html`
+            <button type="button" class="event-card__calendar" data-calendar-event-id="${event.id}">📅 Add to calendar</button>
+            ${Reminders.renderMenu(event.id)}
+          ` : ''}
+          ${event.address
+            ? html`<p class="event-card__location">📍 ${event.address}</p>`
+            : html`<p class="event-card__location event-card__location--unavailable">⚠️ Location data unavailable for this event</p>`}
+        </div>
+        
+        ${hasLocation ? html`
+          <div class="event-card__actions">
+            <button class="btn btn--small btn--pill" data-event-id="${event.id}" data-lat="${event.lat}" data-lng="${event.lng}">View on Map</button>
+            ${directionsUrl ? html`<a href="${directionsUrl}" target="_blank" class="btn btn--small btn--secondary btn--pill">Directions</a>` : ''}
+            <button type="button" class="btn btn--small btn--secondary btn--pill" data-share-event-id="${event.id}">Share</button>
+            ${getCrawlPlanner().renderButton(event.id)}
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+  
+  // "Just added", "Updated" and "Removed" marks for changes since the build
+  updateChangeBadges() {
+    if (!this.liveRefresh) return;
+    
+    document.querySelectorAll('.event-card[data-id]').forEach(card => {
+      const change = this.liveRefresh.getChange(card.dataset.id);
+      const venue = card.querySelector('.event-card__venue');
+      let badge = card.querySelector('.event-card__change');
+      
+      Object.keys(LiveRefresh.CHANGE_LABELS).forEach(name => {
+        card.classList.toggle(`event-card--${name}`, name === change);
       });
+      
+      if (!change) {
+        if (badge) badge.remove();
+        return;
+      }
+      
+      if (!badge && venue) {
+        badge = document.createElement('span');
+        venue.appendChild(badge);
+      }
+      if (badge) {
+        badge.className = `event-card__change status-badge status-badge--${change}`;
+        badge.textContent = LiveRefresh.CHANGE_LABELS[change];
+      }
     });
   }
   
-  addEventMarkers() {
-    // Clear existing markers and info windows
-    this.clearMarkers();
+  getChangeBadge(event) {
+    const change = this.liveRefresh ? this.liveRefresh.getChange(event.id) : null;
+    if (!change) return '';
+    return html`<span class="status-badge status-badge--${change}">${LiveRefresh.CHANGE_LABELS[change]}</span>`;
+  }
+  
+  // ---- Calendar view (calendar-view.js) ----
+  
+  setupCalendar() {
+    if (!document.getElementById('events-calendar')) return;
     
-    if (!this.map) {
-      console.error('Map not initialized');
-      return;
-    }
+    this.calendar = new CalendarView(this);
+    this.calendar.init();
+  }
+  
+  // ---- Map layers (map-layers.js) ----
+  
+  setupMapLayers() {
+    if (!document.getElementById('map-layers')) return;
     
-    console.log(`Adding markers for ${this.events.length} events`);
+    this.layers = new MapLayers(this);
+    this.layers.init();
+  }
+  
+  // ---- Crawl planner (crawl-planner.js) ----
+  
+  setupCrawl() {
+    if (!document.getElementById('crawl-tray')) return;
     
-    const bounds = new google.maps.LatLngBounds();
-    let hasValidLocation = false;
-    let validEvents = 0;
+    this.crawl = getCrawlPlanner();
+    this.crawl.setOrigin(this.isNearMeActive() ? this.origin : null);
+  }
+  
+  // ---- Deep links (url-state.js) ----
+  
+  setupUrlState() {
+    // Only the home page map keeps its state in the URL; other pages' hashes are anchors
+    if (!document.getElementById('main-map')) return;
+    this.urlStateEnabled = true;
     
-    this.events.forEach((event, index) => {
-      if (event.lat && event.lng && event.lat !== 0 && event.lng !== 0) {
-        const position = { lat: parseFloat(event.lat), lng: parseFloat(event.lng) };
-        console.log(`Creating marker ${index + 1}: ${event.truck_name} at ${position.lat}, ${position.lng}`);
-        
-        const eventDateTime = this.formatEventDateTime(event.start_ts, event.end_ts);
-        
-        const marker = new google.maps.Marker({
-          position: position,
-          map: this.map,
-          title: `${event.truck_name} at ${event.venue} - ${eventDateTime}`,
-          icon: {
-            url: (window.siteBaseUrl || '') + '/assets/images/pin.png',
-            scaledSize: new google.maps.Size(32, 32),
-            anchor: new google.maps.Point(16, 32)
-          }
-        });
-        
-        const infoWindow = new google.maps.InfoWindow({
-          content: this.createInfoWindowContent(event)
-        });
-        
-        marker.addListener('click', () => {
-          this.closeAllInfoWindows();
-          infoWindow.open(this.map, marker);
-        });
-        
-        this.markers.push(marker);
-        this.infoWindows.push(infoWindow);
-        bounds.extend(position);
-        hasValidLocation = true;
-        validEvents++;
-      } else {
-        console.log(`Skipping event ${index + 1}: ${event.truck_name} - invalid coordinates (${event.lat}, ${event.lng})`);
+    const restore = () => {
+      const state = parseUrlState();
+      if (state) {
+        this.restoreUrlState(state);
       }
-    });
+    };
     
-    console.log(`Created ${validEvents} markers`);
+    restore();
+    // Back/forward, or a link to another #event= on this page
+    window.addEventListener('popstate', restore);
+  }
+  
+  // Filters, sort, near-me place, map view and selected event, as written to the URL
+  getUrlState() {
+    const { date, trucks, venue, radius, showEnded, myTrucks, confidence } = this.filters;
+    // Until the map is ready, keep what the URL asked for
+    const pending = this.pendingUrlState || {};
     
-    // Fit map to show all markers
-    if (hasValidLocation && this.markers.length > 0) {
-      this.map.fitBounds(bounds);
-      
-      // Don't zoom in too much if there's only one marker
-      if (this.markers.length === 1) {
-        this.map.setZoom(15);
-      }
-    } else {
-      console.log('No valid locations found for markers');
+    let mapView = pending.map || null;
+    if (this.map) {
+      const center = this.map.getCenter();
+      mapView = `${center.lat.toFixed(5)},${center.lng.toFixed(5)},${this.map.getZoom()}`;
+    }
+    
+    let sort = null;
+    if (this.sort.mode === 'distance' && this.sort.origin === 'map') {
+      sort = 'distance-map';
+    } else if (this.sort.mode !== 'date') {
+      sort = this.sort.mode;
     }
+    
+    return {
+      event: pending.event || this.selectedEventId,
+      map: mapView,
+      date: date !== 'all' ? date : null,
+      truck: trucks,
+      venue: venue,
+      // A visitor's own location stays private; a typed place is fine to share
+      near: this.origin.source === 'place' ? this.origin.label : null,
+      radius: radius < SERVICE_AREA_MILES ? radius : null,
+      ended: showEnded,
+      mine: myTrucks,
+      confidence: confidence !== 'all' ? confidence : null,
+      sort: sort,
+      view: this.calendar && this.calendar.view !== 'list' ? this.calendar.view : null,
+      heatmap: !!this.layers && this.layers.showHeatmap,
+      day: this.layers && this.layers.isTimeSlotActive() && this.layers.day !== 'all' ? this.layers.day.toLowerCase() : null,
+      hour: this.layers && this.layers.isTimeSlotActive() ? this.layers.hour : null
+    };
   }
   
-  clearMarkers() {
-    // Remove all markers from map
-    this.markers.forEach(marker => {
-      marker.setMap(null);
-    });
-    this.markers = [];
+  updateUrl(push = false) {
+    if (!this.urlStateEnabled || this.restoringUrl) return;
+    saveUrlState(this.getUrlState(), push);
+  }
+  
+  restoreUrlState(state) {
+    const event = state.event ? this.store.get(state.event) : null;
+    const radius = Number(state.radius);
     
-    // Close all info windows
-    this.infoWindows.forEach(infoWindow => {
-      infoWindow.close();
+    this.restoringUrl = true;
+    this.setFilterFields({
+      date: state.date || 'all',
+      trucks: state.truck || [],
+      venue: state.venue || '',
+      radius: radius > 0 && radius < SERVICE_AREA_MILES ? radius : SERVICE_AREA_MILES,
+      // A shared event may have ended since; show it rather than nothing
+      showEnded: state.ended === '1' || (!!event && this.getStatus(event) === 'ended'),
+      myTrucks: state.mine === '1',
+      confidence: state.confidence || 'all'
     });
-    this.infoWindows = [];
+    
+    // A link's sort order is used, but doesn't replace the visitor's saved one
+    if (state.sort) {
+      this.setSortFields(state.sort);
+    }
+    
+    if (state.near) {
+      this.setOriginFromPlace(state.near);
+    } else if (this.origin.source === 'place') {
+      this.resetOrigin();
+    }
+    
+    if (this.calendar) {
+      this.calendar.setView(state.view);
+    }
+    
+    if (this.layers) {
+      this.layers.setState({
+        heatmap: state.heatmap === '1',
+        hour: state.hour ? Number(state.hour) : null,
+        day: MapLayers.DAYS.find(day => day.toLowerCase() === state.day)
+      });
+    }
+    
+    this.updateOriginDisplay();
+    this.applyFilters({ fitMap: !state.map && !event });
+    this.sortEvents();
+    this.restoringUrl = false;
+    
+    this.pendingUrlState = state;
+    this.applyPendingUrlState();
   }
   
-  closeAllInfoWindows() {
-    this.infoWindows.forEach(infoWindow => {
-      infoWindow.close();
+  setFilterFields(filters) {
+    this.filters = filters;
+    
+    const form = document.getElementById('filters-form');
+    if (!form) return;
+    
+    // An unknown date (an old or hand-edited link) selects nothing; use all dates
+    form.elements.date.value = filters.date;
+    if (!form.elements.date.value) {
+      form.elements.date.value = 'all';
+    }
+    this.filters.date = form.elements.date.value;
+    
+    Array.from(form.elements.trucks.options).forEach(option => {
+      option.selected = filters.trucks.includes(option.value);
     });
+    form.elements.venue.value = filters.venue;
+    if (form.elements.radius) {
+      form.elements.radius.value = filters.radius;
+    }
+    if (form.elements.show_ended) {
+      form.elements.show_ended.checked = filters.showEnded;
+    }
+    if (form.elements.my_trucks) {
+      form.elements.my_trucks.checked = filters.myTrucks;
+    }
+    if (form.elements.confidence) {
+      form.elements.confidence.value = filters.confidence;
+      if (!form.elements.confidence.value) {
+        form.elements.confidence.value = 'all';
+      }
+      this.filters.confidence = form.elements.confidence.value;
+    }
   }
   
-  createInfoWindowContent(event) {
-    const eventDateTime = this.formatEventDateTime(event.start_ts, event.end_ts);
+  setSortFields(value) {
+    const modeSelect = document.getElementById('sort-mode');
+    const originSelect = document.getElementById('sort-origin');
+    const [mode, origin] = value.split('-');
     
-    // Determine the source platform and create appropriate link text
-    let sourceLinkText = 'View Source';
-    if (event.source_url) {
-      if (event.source_url.includes('instagram.com')) {
-        sourceLinkText = 'View on Instagram';
-      } else if (event.source_url.includes('facebook.com')) {
-        sourceLinkText = 'View on Facebook';
-      } else if (event.source_url.includes('twitter.com') || event.source_url.includes('x.com')) {
-        sourceLinkText = 'View on Twitter';
-      }
+    if (!modeSelect || !Array.from(modeSelect.options).some(option => option.value === mode)) {
+      console.warn(`Unknown sort order in link: ${value}`);
+      return;
     }
     
-    return `
-      <div class="map-info">
-        <h3 class="map-info__title">${event.truck_name}</h3>
-        <p class="map-info__venue">${event.venue}</p>
-        <p class="map-info__datetime">📅 ${eventDateTime}</p>
-        <p class="map-info__address">${event.raw_address}${event.city ? ', ' + event.city : ''}</p>
-        <div class="map-info__actions">
-          <a href="https://www.google.com/maps/dir/?api=1&destination=${event.lat},${event.lng}" target="_blank" class="btn btn--small btn--secondary">Directions</a>
-          ${event.source_url ? `<a href="${event.source_url}" target="_blank" class="btn btn--small btn--primary">${sourceLinkText}</a>` : ''}
-        </div>
-      </div>
-    `;
+    this.sort = {
+      mode: mode,
+      origin: origin === 'map' ? 'map' : DEFAULT_SORT_ORIGIN
+    };
+    modeSelect.value = this.sort.mode;
+    if (originSelect) {
+      originSelect.value = this.sort.origin;
+    }
   }
   
-  
-  focusOnEvent(event) {
-    if (!this.map) return;
+  // The map view and selected event in a URL state wait for the map to be ready
+  applyPendingUrlState() {
+    const state = this.pendingUrlState;
+    if (!state || !this.map) return;
     
-    // Find the marker for this event
-    const markerIndex = this.markers.findIndex(marker => {
-      const position = marker.getPosition();
-      return position.lat() === parseFloat(event.lat) && position.lng() === parseFloat(event.lng);
-    });
+    this.pendingUrlState = null;
+    this.restoringUrl = true;
     
-    if (markerIndex !== -1) {
-      const marker = this.markers[markerIndex];
-      const infoWindow = this.infoWindows[markerIndex];
-      
-      // Close all other info windows
+    const event = state.event ? this.store.get(state.event) : null;
+    if (event) {
+      this.focusOnEvent(event);
+    } else {
+      this.selectEvent(null);
       this.closeAllInfoWindows();
-      
-      // Open the info window for this marker
-      infoWindow.open(this.map, marker);
-      
-      // Center the map on this marker
-      this.map.setCenter(marker.getPosition());
-      this.map.setZoom(16);
     }
+    
+    const [lat, lng, zoom] = (state.map || '').split(',').map(Number);
+    if ([lat, lng, zoom].every(Number.isFinite)) {
+      this.map.focus({ lat: lat, lng: lng }, zoom);
+    }
+    
+    this.restoringUrl = false;
+    this.updateUrl();
+  }
+  
+  // No map provider could load (usually offline): fall back to the list on its own
+  showMapUnavailable() {
+    const notice = document.getElementById('map-unavailable');
+    if (!notice) return;
+    
+    notice.hidden = false;
+    document.getElementById('map-container')?.classList.add('map-container--unavailable');
+    
+    if (!this.mapRetryBound) {
+      this.mapRetryBound = true;
+      document.getElementById('map-retry')?.addEventListener('click', () => this.retryMap());
+      window.addEventListener('online', () => this.retryMap());
+    }
+  }
+  
+  hideMapUnavailable() {
+    const notice = document.getElementById('map-unavailable');
+    if (notice) {
+      notice.hidden = true;
+    }
+    document.getElementById('map-container')?.classList.remove('map-container--unavailable');
   }
   
+  async retryMap() {
+    if (this.map) return;
+    
+    const adapter = await retryMapAdapter();
+    if (adapter) {
+      this.hideMapUnavailable();
+      this.initializeMap(adapter);
+    }
+  }
   
   showError(message) {
     const eventsList = document.getElementById('events-list');
     if (eventsList) {
-      eventsList.innerHTML = `
+      renderHtml(eventsList, html`
         <div class="empty">
           <div class="empty__icon">⚠️</div>
           <h3 class="empty__title">Error</h3>
           <p class="empty__description">${message}</p>
         </div>
-      `;
+      `);
     }
   }
 }
 
-// Initialize app when DOM is loaded
+// Initialize app when DOM is loaded (index.html may already have done so)
 document.addEventListener('DOMContentLoaded', () => {
-  window.foodTruckApp = new FoodTruckApp();
+  initMapAndHandlers();
 });
 
-// Global function for initialization
+// Global function for initialization - safe to call more than once
 function initMapAndHandlers() {
   if (window.foodTruckApp) {
     return window.foodTruckApp;
@@ -383,184 +1964,199 @@ function initMapAndHandlers() {
 
 // Global functions for individual event/truck pages
 function initEventMap(mapId, eventData) {
-  if (typeof google === 'undefined') {
-    console.error('Google Maps API not loaded');
-    return;
-  }
-  
   const mapElement = document.getElementById(mapId);
   if (!mapElement) return;
   
-  const map = new google.maps.Map(mapElement, {
-    zoom: 15,
-    center: { lat: parseFloat(eventData.lat), lng: parseFloat(eventData.lng) },
-    mapTypeControl: false,
-    streetViewControl: false,
-    fullscreenControl: false,
-    zoomControl: true
-  });
+  // Prefer the store's copy; pages for events outside the data window fall back to their own
+  const event = getEventStore().get(eventData.id) || EventStore.normalize(eventData);
+  if (event.lat === null || event.lng === null) {
+    return;
+  }
   
-  const marker = new google.maps.Marker({
-    position: { lat: parseFloat(eventData.lat), lng: parseFloat(eventData.lng) },
-    map: map,
-    title: `${eventData.truck} at ${eventData.venue}`,
-    icon: {
-      url: (window.siteBaseUrl || '') + '/assets/images/pin.png',
-      scaledSize: new google.maps.Size(32, 32),
-      anchor: new google.maps.Point(16, 32)
-    }
-  });
+  const position = { lat: event.lat, lng: event.lng };
   
-  const infoWindow = new google.maps.InfoWindow({
-    content: `
+  withMapAdapter(adapter => {
+    const map = adapter.createMap(mapElement, {
+      zoom: 15,
+      center: position
+    });
+    
+    const marker = map.addMarker({
+      position: position,
+      title: `${event.truck_name} at ${event.venue}`,
+      icon: getPinIcon()
+    });
+    
+    const infoWindow = map.createInfoWindow();
+    infoWindow.setContent(html`
       <div>
-        <h3>${eventData.truck}</h3>
-        <p><strong>${eventData.venue}</strong></p>
-        <p>${eventData.time}</p>
+        <h3>${event.truck_name}</h3>
+        <p><strong>${event.venue}</strong></p>
+        <p>${formatEventDateTime(event.start_ts, event.end_ts)}</p>
       </div>
-    `
+    `);
+    
+    infoWindow.open(marker);
+  }).then(adapter => {
+    if (!adapter) {
+      showMapError(mapElement);
+    }
+  }).catch(error => {
+    console.error(`Failed to render the map for event ${event.id}:`, error);
+    showMapError(mapElement);
   });
-  
-  infoWindow.open(map, marker);
 }
 
-function initTruckMap(mapId, events) {
-  if (typeof google === 'undefined') {
-    console.error('Google Maps API not loaded');
-    return;
-  }
-  
+// Truck page: the map of a truck's stops, plus the schedule timeline and
+// playback (truck-schedule.js) that it follows along with
+function initTruckMap(mapId, truckName) {
   const mapElement = document.getElementById(mapId);
   if (!mapElement) return;
   
-  // Pittsburgh coordinates for distance filtering
-  const pittsburghLat = 40.4406;
-  const pittsburghLng = -79.9959;
-  const maxDistanceMiles = 100;
+  const events = getEventStore().query({ truckName: truckName });
+  syncMergedEventCards(getEventStore());
   
-  // Distance calculation function
-  function calculateDistance(lat1, lng1, lat2, lng2) {
-    const lat1Rad = lat1 * Math.PI / 180;
-    const lng1Rad = lng1 * Math.PI / 180;
-    const lat2Rad = lat2 * Math.PI / 180;
-    const lng2Rad = lng2 * Math.PI / 180;
-    
-    const earthRadius = 3959;
-    const dlat = lat2Rad - lat1Rad;
-    const dlng = lng2Rad - lng1Rad;
-    
-    const a = Math.sin(dlat/2)**2 + Math.cos(lat1Rad) * Math.cos(lat2Rad) * Math.sin(dlng/2)**2;
-    const c = 2 * Math.asin(Math.sqrt(a));
-    
-    return earthRadius * c;
-  }
+  const schedule = new TruckSchedule(events);
+  schedule.init();
   
-  // Filter events within 100 miles of Pittsburgh
+  // Drop events outside the Pittsburgh service area (bad geocodes)
   const filteredEvents = events.filter(event => {
-    if (!event.lat || !event.lng || event.lat === 0 || event.lng === 0) {
+    if (event.lat === null || event.lng === null) {
       return false;
     }
     
-    const distance = calculateDistance(pittsburghLat, pittsburghLng, event.lat, event.lng);
-    return distance <= maxDistanceMiles;
-  });
-  
-  console.log(`Filtered truck events: ${filteredEvents.length} within ${maxDistanceMiles} miles of Pittsburgh (from ${events.length} total)`);
-  
-  const bounds = new google.maps.LatLngBounds();
-  const map = new google.maps.Map(mapElement, {
-    zoom: 12,
-    mapTypeControl: false,
-    streetViewControl: false,
-    fullscreenControl: false,
-    zoomControl: true
+    const distance = calculateDistance(DEFAULT_ORIGIN.lat, DEFAULT_ORIGIN.lng, event.lat, event.lng);
+    return distance <= SERVICE_AREA_MILES;
   });
   
-  // Date formatting helper function
-  function formatEventDateTime(startTs, endTs) {
-    if (!startTs) return 'Time TBD';
-    
-    const startDate = new Date(startTs);
-    const endDate = endTs ? new Date(endTs) : null;
-    
-    // Format date to match event cards (e.g., "Sep 27")
-    const dateOptions = { 
-      month: 'short', 
-      day: 'numeric' 
-    };
-    const dateStr = startDate.toLocaleDateString('en-US', dateOptions);
-    
-    // Format time in 24-hour format to match event cards (e.g., "09:08")
-    const startTime = startDate.toLocaleTimeString('en-US', { 
-      hour: '2-digit', 
-      minute: '2-digit',
-      hour12: false 
+  withMapAdapter(adapter => {
+    const map = adapter.createMap(mapElement, {
+      zoom: 12,
+      center: { lat: DEFAULT_ORIGIN.lat, lng: DEFAULT_ORIGIN.lng }
     });
     
-    let timeStr = startTime;
-    if (endDate && endDate.getTime() !== startDate.getTime()) {
-      const endTime = endDate.toLocaleTimeString('en-US', { 
-        hour: '2-digit', 
-        minute: '2-digit',
-        hour12: false 
-      });
-      timeStr = `${startTime} - ${endTime}`;
-    } else {
-      timeStr = `${startTime}+`;
-    }
+    const truckMarkers = [];
+    const stops = new Map();
     
-    return `${dateStr} ${timeStr}`;
-  }
-  
-  filteredEvents.forEach(event => {
-    if (event.lat && event.lng) {
-      const position = { lat: parseFloat(event.lat), lng: parseFloat(event.lng) };
+    filteredEvents.forEach(event => {
+      const position = { lat: event.lat, lng: event.lng };
       const eventDateTime = formatEventDateTime(event.start_ts, event.end_ts);
       
-      const marker = new google.maps.Marker({
+      const marker = map.addMarker({
         position: position,
-        map: map,
         title: `${event.venue} - ${eventDateTime}`,
-        icon: {
-          url: (window.siteBaseUrl || '') + '/assets/images/pin.png',
-          scaledSize: new google.maps.Size(32, 32),
-          anchor: new google.maps.Point(16, 32)
-        }
+        icon: getPinIcon()
       });
+      marker.setOpacity(MARKER_CONFIDENCE_OPACITY[EventStore.getConfidenceLevel(event)]);
       
-      // Determine the source platform and create appropriate link text
-      let sourceLinkText = 'View Source';
-      if (event.source_url) {
-        if (event.source_url.includes('instagram.com')) {
-          sourceLinkText = 'View on Instagram';
-        } else if (event.source_url.includes('facebook.com')) {
-          sourceLinkText = 'View on Facebook';
-        } else if (event.source_url.includes('twitter.com') || event.source_url.includes('x.com')) {
-          sourceLinkText = 'View on Twitter';
-        }
-      }
+      const sourceUrl = safeUrl(event.source_url);
       
-      const infoWindow = new google.maps.InfoWindow({
-        content: `
-          <div>
-            <h3>${event.venue}</h3>
-            <p><strong>📅 ${eventDateTime}</strong></p>
-            <div style="margin-top: 10px;">
-              ${event.source_url ? `<a href="${event.source_url}" target="_blank" class="btn btn--small btn--primary">${sourceLinkText}</a>` : ''}
-            </div>
+      const infoWindow = map.createInfoWindow();
+      infoWindow.setContent(html`
+        <div>
+          <h3>${event.venue}</h3>
+          <p><strong>📅 ${eventDateTime}</strong> ${renderConfidenceBadge(event)}</p>
+          ${renderAlsoReported(event, 'map-info__also')}
+          <div style="margin-top: 10px;">
+            <a href="${window.siteBaseUrl || ''}/events/${encodeURIComponent(event.id)}/" class="btn btn--small btn--secondary">View details</a>
+            ${sourceUrl ? html`<a href="${sourceUrl}" target="_blank" class="btn btn--small btn--primary">${getSourceLinkText(sourceUrl)}</a>` : ''}
           </div>
-        `
+        </div>
+      `);
+      
+      marker.on('click', () => {
+        const index = schedule.events.indexOf(event);
+        if (index !== -1) {
+          schedule.stop();
+          schedule.setCurrent(index);
+        } else {
+          infoWindow.open(marker);
+        }
       });
       
-      marker.addListener('click', () => {
-        infoWindow.open(map, marker);
+      truckMarkers.push(marker);
+      stops.set(event.id, { marker: marker, infoWindow: infoWindow });
+    });
+    
+    if (truckMarkers.length > 0) {
+      map.fitBounds(truckMarkers.map(marker => marker.getPosition()));
+    }
+    
+    // The route: consecutive stops joined in time order
+    const route = schedule.events.filter(event => stops.has(event.id));
+    if (route.length > 1) {
+      map.addPolyline({
+        path: route.map(event => ({ lat: event.lat, lng: event.lng })),
+        color: '#3981c4'
       });
+    }
+    
+    let clusterer = null;
+    if (isMarkerClusteringEnabled()) {
+      clusterer = new MarkerClusterer(map, truckMarkers);
+    }
+    
+    // Follow the schedule's current stop: a bigger pin, on top, with its details open.
+    // Unsubscribed if the map is rebuilt with another provider (withMapAdapter).
+    let current = null;
+    return schedule.subscribe(event => {
+      if (current) {
+        current.marker.setIcon(getPinIcon());
+        current.marker.setZIndex(0);
+        current.infoWindow.close();
+      }
       
-      bounds.extend(position);
+      current = stops.get(event.id) || null;
+      if (!current) return;
+      
+      current.marker.setIcon(getPinIcon(MARKER_HIGHLIGHT_STYLE.scale));
+      current.marker.setZIndex(MARKER_HIGHLIGHT_STYLE.zIndex);
+      if (clusterer) {
+        clusterer.reveal(current.marker);
+      }
+      map.focus(current.marker.getPosition());
+      current.infoWindow.open(current.marker);
+    });
+  }).then(adapter => {
+    if (!adapter) {
+      showMapError(mapElement);
     }
+  }).catch(error => {
+    console.error(`Failed to render the map for ${truckName}:`, error);
+    showMapError(mapElement);
   });
+}
+
+// Venue page: the lineup of stops that haven't ended, and a map of the next one
+// (or the latest, once they all have). eventIds come from _plugins/venue_pages.rb.
+function initVenuePage(mapId, eventIds) {
+  const store = getEventStore();
+  const events = Array.from(new Set(eventIds.map(id => store.get(id)).filter(Boolean)));
+  syncMergedEventCards(store);
+  
+  const updateLineup = () => {
+    const now = Date.now();
+    let shown = 0;
+    
+    document.querySelectorAll('#venue-lineup .event-card[data-id]').forEach(card => {
+      const event = store.get(card.dataset.id);
+      const visible = !!event && event.id === card.dataset.id && EventStore.getStatus(event, now) !== 'ended';
+      card.classList.toggle('event-card--hidden', !visible);
+      if (visible) shown++;
+    });
+    
+    const empty = document.getElementById('venue-no-events');
+    if (empty) {
+      empty.hidden = shown > 0;
+    }
+  };
   
-  if (filteredEvents.length > 0) {
-    map.fitBounds(bounds);
+  updateLineup();
+  setInterval(updateLineup, STATUS_REFRESH_MS);
+  
+  const located = events.filter(event => event.lat !== null && event.lng !== null);
+  const next = located.find(event => EventStore.getStatus(event) !== 'ended') || located[located.length - 1];
+  if (next) {
+    initEventMap(mapId, next);
   }
-}
\ No newline at end of file
+}
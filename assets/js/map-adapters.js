@@ -0,0 +1,916 @@
+// Map provider adapters - the app and page maps only talk to this interface,
+// so Google Maps and Leaflet/OpenStreetMap are interchangeable (and a fake
+// adapter with the same shape, test/js/helpers/fake-map-adapter.js, stands in
+// for either in tests).
+//
+// adapter.createMap(element, options) returns a map:
+//   focus(position, zoom), fitBounds(positions), getZoom(), setZoom(zoom),
+//   getCenter(), on('idle', handler) -> { remove() },
+//   addMarker(options), createInfoWindow(), addCircle(options), addPolyline(options),
+//   addHeatmap(options)
+// Markers: getPosition(), setPosition(), getVisible(), setVisible(), attach(),
+//   detach(), isAttached(), setLabel(), setTitle(), setIcon(), setOpacity(),
+//   setZIndex(), on('click', handler), remove()
+// Info windows: setContent(html) (a string or an html`` fragment, see safe-html.js),
+//   getContent(), open(marker), close(), isOpen()
+// Circles: setCenter(), setRadius(), getBounds(), remove()
+// Polylines: setPath(positions), remove()
+// Heatmaps: setPoints(points), setVisible(), remove() - points are { lat, lng, weight },
+//   drawn on a canvas over the map by drawHeatmap, the same for both providers
+//
+// Positions are plain { lat, lng } objects. Marker icons are either
+// { url, size: [w, h], anchor: [x, y], labelOrigin: [x, y] } or
+// { dot: { color, radius } }; labels are { text, fontSize } or null.
+
+// ---- Google Maps ----
+
+class GoogleMapAdapter {
+  constructor() {
+    this.name = 'google';
+  }
+  
+  static isAvailable() {
+    return typeof google !== 'undefined' && !!google.maps;
+  }
+  
+  createMap(element, options = {}) {
+    const mapOptions = {
+      zoom: options.zoom || 12,
+      center: options.center,
+      mapTypeControl: false,
+      streetViewControl: false,
+      fullscreenControl: false,
+      zoomControl: true
+    };
+    
+    if (options.zoomControlPosition === 'topleft') {
+      mapOptions.zoomControlOptions = {
+        position: google.maps.ControlPosition.TOP_LEFT
+      };
+    }
+    
+    if (options.hidePointsOfInterest) {
+      mapOptions.styles = [
+        {
+          featureType: 'poi',
+          elementType: 'labels',
+          stylers: [{ visibility: 'off' }]
+        }
+      ];
+    }
+    
+    return new GoogleMapHandle(new google.maps.Map(element, mapOptions));
+  }
+}
+
+class GoogleMapHandle {
+  constructor(map) {
+    this.map = map;
+  }
+  
+  focus(position, zoom) {
+    this.map.setCenter(position);
+    if (zoom) {
+      this.map.setZoom(zoom);
+    }
+  }
+  
+  fitBounds(positions) {
+    if (positions.length === 0) return;
+    
+    const bounds = new google.maps.LatLngBounds();
+    positions.forEach(position => bounds.extend(position));
+    this.map.fitBounds(bounds);
+  }
+  
+  getZoom() {
+    return this.map.getZoom();
+  }
+  
+  setZoom(zoom) {
+    this.map.setZoom(zoom);
+  }
+  
+  getCenter() {
+    const center = this.map.getCenter();
+    return { lat: center.lat(), lng: center.lng() };
+  }
+  
+  on(eventName, handler) {
+    return this.map.addListener(eventName, handler);
+  }
+  
+  addMarker(options) {
+    return new GoogleMarkerHandle(this, options);
+  }
+  
+  createInfoWindow() {
+    return new GoogleInfoWindowHandle(this);
+  }
+  
+  addCircle(options) {
+    return new GoogleCircleHandle(this, options);
+  }
+  
+  addPolyline(options) {
+    return new GooglePolylineHandle(this, options);
+  }
+  
+  addHeatmap(options = {}) {
+    return new GoogleHeatmapHandle(this, options);
+  }
+}
+
+class GoogleMarkerHandle {
+  constructor(mapHandle, options) {
+    this.mapHandle = mapHandle;
+    this.marker = new google.maps.Marker({
+      position: options.position,
+      map: mapHandle.map,
+      title: options.title || '',
+      zIndex: options.zIndex,
+      label: this.toGoogleLabel(options.label),
+      icon: this.toGoogleIcon(options.icon)
+    });
+  }
+  
+  toGoogleIcon(icon) {
+    if (!icon) return undefined;
+    
+    if (icon.dot) {
+      return {
+        path: google.maps.SymbolPath.CIRCLE,
+        scale: icon.dot.radius || 7,
+        fillColor: icon.dot.color,
+        fillOpacity: 1,
+        strokeColor: '#fff',
+        strokeWeight: 2
+      };
+    }
+    
+    const googleIcon = {
+      url: icon.url,
+      scaledSize: new google.maps.Size(icon.size[0], icon.size[1]),
+      anchor: new google.maps.Point(icon.anchor[0], icon.anchor[1])
+    };
+    if (icon.labelOrigin) {
+      googleIcon.labelOrigin = new google.maps.Point(icon.labelOrigin[0], icon.labelOrigin[1]);
+    }
+    return googleIcon;
+  }
+  
+  toGoogleLabel(label) {
+    if (!label) return null;
+    return {
+      text: label.text,
+      color: '#fff',
+      fontSize: label.fontSize || '11px',
+      fontWeight: '700'
+    };
+  }
+  
+  getPosition() {
+    const position = this.marker.getPosition();
+    return { lat: position.lat(), lng: position.lng() };
+  }
+  
+  setPosition(position) {
+    this.marker.setPosition(position);
+  }
+  
+  getVisible() {
+    return this.marker.getVisible() !== false;
+  }
+  
+  setVisible(visible) {
+    this.marker.setVisible(visible);
+  }
+  
+  attach() {
+    this.marker.setMap(this.mapHandle.map);
+  }
+  
+  detach() {
+    this.marker.setMap(null);
+  }
+  
+  isAttached() {
+    return !!this.marker.getMap();
+  }
+  
+  setLabel(label) {
+    this.marker.setLabel(this.toGoogleLabel(label));
+  }
+  
+  setTitle(title) {
+    this.marker.setTitle(title);
+  }
+  
+  setIcon(icon) {
+    this.marker.setIcon(this.toGoogleIcon(icon));
+  }
+  
+  setOpacity(opacity) {
+    this.marker.setOpacity(opacity);
+  }
+  
+  setZIndex(zIndex) {
+    this.marker.setZIndex(zIndex);
+  }
+  
+  on(eventName, handler) {
+    return this.marker.addListener(eventName, handler);
+  }
+  
+  remove() {
+    this.marker.setMap(null);
+  }
+}
+
+class GoogleInfoWindowHandle {
+  constructor(mapHandle) {
+    this.mapHandle = mapHandle;
+    this.infoWindow = new google.maps.InfoWindow();
+    this.opened = false;
+    this.infoWindow.addListener('closeclick', () => {
+      this.opened = false;
+    });
+  }
+  
+  setContent(content) {
+    this.infoWindow.setContent(String(content));
+  }
+  
+  getContent() {
+    return this.infoWindow.getContent();
+  }
+  
+  open(markerHandle) {
+    this.infoWindow.open(this.mapHandle.map, markerHandle.marker);
+    this.opened = true;
+  }
+  
+  close() {
+    this.infoWindow.close();
+    this.opened = false;
+  }
+  
+  isOpen() {
+    return this.opened;
+  }
+}
+
+class GoogleCircleHandle {
+  constructor(mapHandle, options) {
+    this.circle = new google.maps.Circle({
+      map: mapHandle.map,
+      center: options.center,
+      radius: options.radiusMeters,
+      clickable: false,
+      fillColor: options.color,
+      fillOpacity: 0.08,
+      strokeColor: options.color,
+      strokeOpacity: 0.6,
+      strokeWeight: 1
+    });
+  }
+  
+  setCenter(center) {
+    this.circle.setCenter(center);
+  }
+  
+  setRadius(radiusMeters) {
+    this.circle.setRadius(radiusMeters);
+  }
+  
+  getBounds() {
+    const bounds = this.circle.getBounds();
+    const southWest = bounds.getSouthWest();
+    const northEast = bounds.getNorthEast();
+    return [
+      { lat: southWest.lat(), lng: southWest.lng() },
+      { lat: northEast.lat(), lng: northEast.lng() }
+    ];
+  }
+  
+  remove() {
+    this.circle.setMap(null);
+  }
+}
+
+class GooglePolylineHandle {
+  constructor(mapHandle, options) {
+    this.polyline = new google.maps.Polyline({
+      map: mapHandle.map,
+      path: options.path,
+      clickable: false,
+      strokeColor: options.color,
+      strokeOpacity: options.opacity || 0.7,
+      strokeWeight: options.weight || 3
+    });
+  }
+  
+  setPath(positions) {
+    this.polyline.setPath(positions);
+  }
+  
+  remove() {
+    this.polyline.setMap(null);
+  }
+}
+
+// A canvas the size of the map in an overlay pane; Google's own heatmap needs the
+// visualization library, which default.html doesn't load
+class GoogleHeatmapHandle {
+  constructor(mapHandle, options) {
+    this.map = mapHandle.map;
+    this.options = options;
+    this.points = [];
+    this.visible = true;
+    this.canvas = createHeatmapCanvas();
+    
+    this.overlay = new google.maps.OverlayView();
+    this.overlay.onAdd = () => this.overlay.getPanes().overlayLayer.appendChild(this.canvas);
+    this.overlay.draw = () => this.draw();
+    this.overlay.onRemove = () => this.canvas.remove();
+    this.overlay.setMap(this.map);
+    
+    // The overlay only redraws on zoom; the canvas covers the view, so redraw after panning too
+    this.idleListener = this.map.addListener('idle', () => this.draw());
+  }
+  
+  draw() {
+    const projection = this.overlay.getProjection();
+    const bounds = this.map.getBounds();
+    if (!projection || !bounds) return;
+    
+    const element = this.map.getDiv();
+    const topLeft = projection.fromLatLngToDivPixel(
+      new google.maps.LatLng(bounds.getNorthEast().lat(), bounds.getSouthWest().lng())
+    );
+    this.canvas.style.left = `${topLeft.x}px`;
+    this.canvas.style.top = `${topLeft.y}px`;
+    
+    const pixels = this.visible ? this.points.map(point => {
+      const pixel = projection.fromLatLngToDivPixel(new google.maps.LatLng(point.lat, point.lng));
+      return { x: pixel.x - topLeft.x, y: pixel.y - topLeft.y, weight: point.weight };
+    }) : [];
+    drawHeatmap(this.canvas, element.offsetWidth, element.offsetHeight, pixels, this.options);
+  }
+  
+  setPoints(points) {
+    this.points = points;
+    this.draw();
+  }
+  
+  setVisible(visible) {
+    this.visible = visible;
+    this.canvas.hidden = !visible;
+    this.draw();
+  }
+  
+  remove() {
+    this.idleListener.remove();
+    this.overlay.setMap(null);
+  }
+}
+
+// ---- Leaflet / OpenStreetMap ----
+
+class LeafletMapAdapter {
+  constructor(config = {}) {
+    this.name = 'leaflet';
+    this.tileUrl = config.tileUrl || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+    this.attribution = config.attribution || '&copy; OpenStreetMap contributors';
+  }
+  
+  static isAvailable() {
+    return typeof L !== 'undefined' && !!L.map;
+  }
+  
+  createMap(element, options = {}) {
+    // The element may still hold a Google map that failed after loading
+    element.innerHTML = '';
+    
+    const map = L.map(element, {
+      center: [options.center.lat, options.center.lng],
+      zoom: options.zoom || 12,
+      zoomControl: false
+    });
+    
+    L.control.zoom({ position: options.zoomControlPosition || 'topleft' }).addTo(map);
+    L.tileLayer(this.tileUrl, {
+      attribution: this.attribution,
+      maxZoom: 19
+    }).addTo(map);
+    
+    return new LeafletMapHandle(map);
+  }
+}
+
+class LeafletMapHandle {
+  constructor(map) {
+    this.map = map;
+  }
+  
+  focus(position, zoom) {
+    this.map.setView([position.lat, position.lng], zoom || this.map.getZoom());
+  }
+  
+  fitBounds(positions) {
+    if (positions.length === 0) return;
+    this.map.fitBounds(positions.map(position => [position.lat, position.lng]), { padding: [20, 20] });
+  }
+  
+  getZoom() {
+    return this.map.getZoom();
+  }
+  
+  setZoom(zoom) {
+    this.map.setZoom(zoom);
+  }
+  
+  getCenter() {
+    const center = this.map.getCenter();
+    return { lat: center.lat, lng: center.lng };
+  }
+  
+  on(eventName, handler) {
+    // Leaflet has no "idle"; moveend fires once panning and zooming settle
+    const leafletEvent = eventName === 'idle' ? 'moveend' : eventName;
+    this.map.on(leafletEvent, handler);
+    return { remove: () => this.map.off(leafletEvent, handler) };
+  }
+  
+  addMarker(options) {
+    return new LeafletMarkerHandle(this, options);
+  }
+  
+  createInfoWindow() {
+    return new LeafletInfoWindowHandle(this);
+  }
+  
+  addCircle(options) {
+    return new LeafletCircleHandle(this, options);
+  }
+  
+  addPolyline(options) {
+    return new LeafletPolylineHandle(this, options);
+  }
+  
+  addHeatmap(options = {}) {
+    return new LeafletHeatmapHandle(this, options);
+  }
+}
+
+class LeafletMarkerHandle {
+  constructor(mapHandle, options) {
+    this.mapHandle = mapHandle;
+    this.icon = options.icon;
+    this.label = options.label || null;
+    this.visible = true;
+    this.attached = true;
+    
+    this.marker = L.marker([options.position.lat, options.position.lng], {
+      title: options.title || '',
+      zIndexOffset: options.zIndex || 0,
+      icon: this.buildIcon()
+    });
+    this.marker.addTo(mapHandle.map);
+  }
+  
+  buildIcon() {
+    const icon = this.icon;
+    
+    if (!icon) {
+      return new L.Icon.Default();
+    }
+    
+    if (icon.dot) {
+      const size = (icon.dot.radius || 7) * 2;
+      return L.divIcon({
+        className: 'map-dot',
+        html: `<span class="map-dot__inner" style="background:${escapeHtml(icon.dot.color)}"></span>`,
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size / 2]
+      });
+    }
+    
+    // Labels and icon URLs go into markup, so they're escaped like everything else (safe-html.js)
+    const labelOrigin = icon.labelOrigin || [icon.size[0] / 2, icon.size[1] / 2];
+    const label = this.label
+      ? `<span class="map-pin__label" style="left:${labelOrigin[0]}px;top:${labelOrigin[1]}px;font-size:${escapeHtml(this.label.fontSize || '11px')}">${escapeHtml(this.label.text)}</span>`
+      : '';
+    
+    return L.divIcon({
+      className: 'map-pin',
+      html: `<img src="${escapeHtml(icon.url)}" width="${icon.size[0]}" height="${icon.size[1]}" alt="">${label}`,
+      iconSize: icon.size,
+      iconAnchor: icon.anchor,
+      popupAnchor: [0, -icon.anchor[1]]
+    });
+  }
+  
+  sync() {
+    const map = this.mapHandle.map;
+    const shouldShow = this.visible && this.attached;
+    
+    if (shouldShow && !map.hasLayer(this.marker)) {
+      this.marker.addTo(map);
+    } else if (!shouldShow && map.hasLayer(this.marker)) {
+      this.marker.remove();
+    }
+  }
+  
+  getPosition() {
+    const position = this.marker.getLatLng();
+    return { lat: position.lat, lng: position.lng };
+  }
+  
+  setPosition(position) {
+    this.marker.setLatLng([position.lat, position.lng]);
+  }
+  
+  getVisible() {
+    return this.visible;
+  }
+  
+  setVisible(visible) {
+    this.visible = visible;
+    this.sync();
+  }
+  
+  attach() {
+    this.attached = true;
+    this.sync();
+  }
+  
+  detach() {
+    this.attached = false;
+    this.sync();
+  }
+  
+  isAttached() {
+    return this.attached;
+  }
+  
+  setLabel(label) {
+    this.label = label;
+    this.marker.setIcon(this.buildIcon());
+  }
+  
+  setTitle(title) {
+    const element = this.marker.getElement();
+    if (element) {
+      element.title = title;
+    }
+    this.marker.options.title = title;
+  }
+  
+  setIcon(icon) {
+    this.icon = icon;
+    this.marker.setIcon(this.buildIcon());
+  }
+  
+  setOpacity(opacity) {
+    this.marker.setOpacity(opacity);
+  }
+  
+  setZIndex(zIndex) {
+    this.marker.setZIndexOffset(zIndex || 0);
+  }
+  
+  on(eventName, handler) {
+    this.marker.on(eventName, handler);
+    return { remove: () => this.marker.off(eventName, handler) };
+  }
+  
+  remove() {
+    this.attached = false;
+    this.marker.remove();
+  }
+}
+
+class LeafletInfoWindowHandle {
+  constructor(mapHandle) {
+    this.mapHandle = mapHandle;
+    this.content = null;
+    this.popup = L.popup({ maxWidth: 280 });
+  }
+  
+  setContent(content) {
+    this.content = String(content);
+    this.popup.setContent(this.content);
+  }
+  
+  getContent() {
+    return this.content;
+  }
+  
+  open(markerHandle) {
+    const icon = markerHandle.icon;
+    const offsetY = icon && icon.anchor ? -icon.anchor[1] : 0;
+    
+    this.popup.options.offset = L.point(0, offsetY);
+    this.popup.setLatLng(markerHandle.marker.getLatLng()).openOn(this.mapHandle.map);
+  }
+  
+  close() {
+    this.mapHandle.map.closePopup(this.popup);
+  }
+  
+  isOpen() {
+    return this.popup.isOpen();
+  }
+}
+
+class LeafletCircleHandle {
+  constructor(mapHandle, options) {
+    this.circle = L.circle([options.center.lat, options.center.lng], {
+      radius: options.radiusMeters,
+      interactive: false,
+      color: options.color,
+      weight: 1,
+      opacity: 0.6,
+      fillColor: options.color,
+      fillOpacity: 0.08
+    }).addTo(mapHandle.map);
+  }
+  
+  setCenter(center) {
+    this.circle.setLatLng([center.lat, center.lng]);
+  }
+  
+  setRadius(radiusMeters) {
+    this.circle.setRadius(radiusMeters);
+  }
+  
+  getBounds() {
+    const bounds = this.circle.getBounds();
+    return [
+      { lat: bounds.getSouth(), lng: bounds.getWest() },
+      { lat: bounds.getNorth(), lng: bounds.getEast() }
+    ];
+  }
+  
+  remove() {
+    this.circle.remove();
+  }
+}
+
+class LeafletPolylineHandle {
+  constructor(mapHandle, options) {
+    this.polyline = L.polyline(options.path.map(position => [position.lat, position.lng]), {
+      interactive: false,
+      color: options.color,
+      opacity: options.opacity || 0.7,
+      weight: options.weight || 3
+    }).addTo(mapHandle.map);
+  }
+  
+  setPath(positions) {
+    this.polyline.setLatLngs(positions.map(position => [position.lat, position.lng]));
+  }
+  
+  remove() {
+    this.polyline.remove();
+  }
+}
+
+class LeafletHeatmapHandle {
+  constructor(mapHandle, options) {
+    this.map = mapHandle.map;
+    this.options = options;
+    this.points = [];
+    this.visible = true;
+    this.canvas = createHeatmapCanvas();
+    // Leaflet hides this class while zoom animates, rather than scaling it
+    this.canvas.classList.add('leaflet-zoom-hide');
+    this.map.getPanes().overlayPane.appendChild(this.canvas);
+    
+    this.redraw = () => this.draw();
+    this.map.on('moveend zoomend resize', this.redraw);
+  }
+  
+  draw() {
+    const size = this.map.getSize();
+    L.DomUtil.setPosition(this.canvas, this.map.containerPointToLayerPoint([0, 0]));
+    
+    const pixels = this.visible ? this.points.map(point => {
+      const pixel = this.map.latLngToContainerPoint([point.lat, point.lng]);
+      return { x: pixel.x, y: pixel.y, weight: point.weight };
+    }) : [];
+    drawHeatmap(this.canvas, size.x, size.y, pixels, this.options);
+  }
+  
+  setPoints(points) {
+    this.points = points;
+    this.draw();
+  }
+  
+  setVisible(visible) {
+    this.visible = visible;
+    this.canvas.hidden = !visible;
+    this.draw();
+  }
+  
+  remove() {
+    this.map.off('moveend zoomend resize', this.redraw);
+    this.canvas.remove();
+  }
+}
+
+// ---- Heatmap canvas (both providers) ----
+
+function createHeatmapCanvas() {
+  const canvas = document.createElement('canvas');
+  canvas.className = 'map-heatmap';
+  canvas.style.position = 'absolute';
+  canvas.style.pointerEvents = 'none';
+  return canvas;
+}
+
+// Draws pixel points ({ x, y, weight }) as a heatmap: a soft spot per point, darker
+// where they pile up, then colored along HEATMAP_GRADIENT. The heaviest point (or
+// options.max) is the hottest. options.radius is in pixels.
+function drawHeatmap(canvas, width, height, points, options = {}) {
+  canvas.width = width;
+  canvas.height = height;
+  
+  const context = canvas.getContext ? canvas.getContext('2d') : null;
+  if (!context || points.length === 0 || width === 0 || height === 0) return;
+  
+  const radius = options.radius || HEATMAP_RADIUS;
+  const max = options.max || Math.max(...points.map(point => point.weight || 1));
+  
+  const spot = document.createElement('canvas');
+  spot.width = spot.height = radius * 2;
+  const spotContext = spot.getContext('2d');
+  const spotGradient = spotContext.createRadialGradient(radius, radius, 0, radius, radius, radius);
+  spotGradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+  spotGradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+  spotContext.fillStyle = spotGradient;
+  spotContext.fillRect(0, 0, radius * 2, radius * 2);
+  
+  points.forEach(point => {
+    context.globalAlpha = Math.min(Math.max((point.weight || 1) / max, HEATMAP_MIN_OPACITY), 1);
+    context.drawImage(spot, point.x - radius, point.y - radius);
+  });
+  
+  // One color per alpha level, from a 256-pixel strip of the gradient
+  const strip = document.createElement('canvas');
+  strip.width = 256;
+  strip.height = 1;
+  const stripContext = strip.getContext('2d');
+  const stripGradient = stripContext.createLinearGradient(0, 0, 256, 0);
+  Object.entries(HEATMAP_GRADIENT).forEach(([stop, color]) => stripGradient.addColorStop(Number(stop), color));
+  stripContext.fillStyle = stripGradient;
+  stripContext.fillRect(0, 0, 256, 1);
+  const palette = stripContext.getImageData(0, 0, 256, 1).data;
+  
+  const image = context.getImageData(0, 0, width, height);
+  const pixels = image.data;
+  for (let i = 0; i < pixels.length; i += 4) {
+    const alpha = pixels[i + 3];
+    if (alpha === 0) continue;
+    pixels[i] = palette[alpha * 4];
+    pixels[i + 1] = palette[alpha * 4 + 1];
+    pixels[i + 2] = palette[alpha * 4 + 2];
+    pixels[i + 3] = Math.round(alpha * (options.opacity || HEATMAP_OPACITY));
+  }
+  context.putImageData(image, 0, 0);
+}
+
+// Cool to hot, by how much of the heaviest point's weight has piled up
+const HEATMAP_GRADIENT = { 0.2: '#3981c4', 0.5: '#20b2aa', 0.7: '#ffd23f', 1: '#ff4438' };
+const HEATMAP_RADIUS = 30;
+const HEATMAP_OPACITY = 0.75;
+// The faintest a single light point is drawn
+const HEATMAP_MIN_OPACITY = 0.15;
+
+// ---- Provider selection ----
+
+let mapAdapterPromise = null;
+let googleMapsFailed = false;
+// { render, cleanup } per withMapAdapter call
+const mapRenderers = [];
+
+function loadLeaflet(version) {
+  if (LeafletMapAdapter.isAvailable()) {
+    return Promise.resolve();
+  }
+  
+  const base = `https://unpkg.com/leaflet@${version || '1.9.4'}/dist`;
+  
+  const stylesheet = document.createElement('link');
+  stylesheet.rel = 'stylesheet';
+  stylesheet.href = `${base}/leaflet.css`;
+  document.head.appendChild(stylesheet);
+  
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = `${base}/leaflet.js`;
+    script.onload = () => resolve();
+    script.onerror = () => reject(new Error(`Failed to load Leaflet from ${script.src}`));
+    document.head.appendChild(script);
+  });
+}
+
+// Picks the provider configured in _config.yml (map_provider), falling back to
+// Leaflet when Google Maps didn't load. Resolves to null if neither is usable.
+function resolveMapAdapter() {
+  if (mapAdapterPromise) {
+    return mapAdapterPromise;
+  }
+  
+  const config = window.siteConfig?.maps || {};
+  const wantsGoogle = config.provider !== 'leaflet';
+  
+  if (wantsGoogle && !googleMapsFailed && GoogleMapAdapter.isAvailable()) {
+    mapAdapterPromise = Promise.resolve(new GoogleMapAdapter());
+    return mapAdapterPromise;
+  }
+  
+  if (wantsGoogle) {
+    console.warn('Google Maps unavailable - falling back to OpenStreetMap');
+  }
+  
+  const leaflet = config.leaflet || {};
+  mapAdapterPromise = loadLeaflet(leaflet.version)
+    .then(() => new LeafletMapAdapter(leaflet))
+    .catch(error => {
+      console.error('No map provider available:', error);
+      return null;
+    });
+  return mapAdapterPromise;
+}
+
+// Renders a map with the best available provider. If Google rejects the key
+// after loading, the renderer runs again with the Leaflet fallback. A renderer
+// can return a cleanup function that undoes what it hooked up to the old map
+// (subscriptions, timers); it's called before the renderer runs again.
+function withMapAdapter(render) {
+  const renderer = { render: render, cleanup: null };
+  mapRenderers.push(renderer);
+  
+  return resolveMapAdapter().then(adapter => {
+    if (adapter) {
+      runMapRenderer(renderer, adapter);
+    }
+    return adapter;
+  });
+}
+
+function runMapRenderer(renderer, adapter) {
+  if (typeof renderer.cleanup === 'function') {
+    renderer.cleanup();
+  }
+  renderer.cleanup = null;
+  
+  const cleanup = renderer.render(adapter);
+  renderer.cleanup = typeof cleanup === 'function' ? cleanup : null;
+}
+
+// Page maps (event, truck and venue pages) that no provider could draw: a note
+// in the map's place, rather than an empty box
+function showMapError(element) {
+  element.classList.add('map-unavailable');
+  renderHtml(element, html`
+    <p class="map-container__notice">🗺️ The map can't load right now - you may be offline.</p>
+  `);
+}
+
+// Tries again after no provider could be loaded (e.g. back online); a working
+// provider is kept as is
+function retryMapAdapter() {
+  if (!mapAdapterPromise) {
+    return resolveMapAdapter();
+  }
+  
+  return mapAdapterPromise.then(adapter => {
+    if (adapter) {
+      return adapter;
+    }
+    mapAdapterPromise = null;
+    return resolveMapAdapter();
+  });
+}
+
+// Called by the Google Maps script when the API key is missing or invalid
+window.gm_authFailure = function() {
+  console.error('Google Maps authentication failed - switching to OpenStreetMap');
+  googleMapsFailed = true;
+  mapAdapterPromise = null;
+  
+  resolveMapAdapter().then(adapter => {
+    if (adapter) {
+      mapRenderers.forEach(renderer => {
+        try {
+          runMapRenderer(renderer, adapter);
+        } catch (error) {
+          console.error('Map failed to render with OpenStreetMap:', error);
+        }
+      });
+    }
+  });
+};
@@ -0,0 +1,267 @@
+// Map layers (home page) - analysis layers over the main map, switched on from
+// the bar under it:
+//   Heatmap     - how densely stops cluster, over every loaded event (ended ones
+//                 too, so there's a picture between builds), not just the list
+//   Day & hour  - narrows the heatmap, the pins and the list to stops under way
+//                 at one hour (on one weekday, or any), in the site's timezone;
+//                 Play steps through the day to show lunch vs. dinner spots
+class MapLayers {
+  constructor(app, formatter = getEventTimeFormatter()) {
+    this.app = app;
+    this.formatter = formatter;
+    this.heatmap = null;
+    this.showHeatmap = false;
+    // null while the Day & hour layer is off
+    this.hour = null;
+    // 'all', or a day of the week from MapLayers.DAYS
+    this.day = 'all';
+    this.playTimer = null;
+    // Per event: the "Mon-12" style slots it's under way in
+    this.slots = new WeakMap();
+  }
+  
+  init() {
+    const heatmapToggle = document.getElementById('layer-heatmap');
+    const timeToggle = document.getElementById('layer-time');
+    const daySelect = document.getElementById('layer-day');
+    const hourSlider = document.getElementById('layer-hour');
+    const playButton = document.getElementById('layer-play');
+    
+    if (heatmapToggle) {
+      heatmapToggle.addEventListener('change', () => this.setHeatmap(heatmapToggle.checked));
+    }
+    
+    if (timeToggle) {
+      timeToggle.addEventListener('change', () => {
+        this.stop();
+        this.setTimeSlot(timeToggle.checked ? Number(hourSlider ? hourSlider.value : MapLayers.DEFAULT_HOUR) : null, this.day);
+      });
+    }
+    
+    if (daySelect) {
+      daySelect.addEventListener('change', () => {
+        this.setTimeSlot(this.hour === null ? MapLayers.DEFAULT_HOUR : this.hour, daySelect.value);
+      });
+    }
+    
+    if (hourSlider) {
+      hourSlider.addEventListener('input', () => {
+        this.stop();
+        this.setTimeSlot(Number(hourSlider.value), this.day);
+      });
+    }
+    
+    document.querySelectorAll('[data-layer-hour]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.stop();
+        this.setTimeSlot(Number(button.dataset.layerHour), this.day);
+      });
+    });
+    
+    if (playButton) {
+      playButton.addEventListener('click', () => {
+        if (this.playTimer) {
+          this.stop();
+        } else {
+          this.play();
+        }
+      });
+    }
+    
+    this.updateControls();
+  }
+  
+  // Called with each new map (a provider fallback starts over)
+  attach(map) {
+    if (this.heatmap) {
+      this.heatmap.remove();
+    }
+    this.heatmap = map.addHeatmap ? map.addHeatmap({ radius: MapLayers.HEATMAP_RADIUS }) : null;
+    this.render();
+  }
+  
+  // { heatmap, hour, day } - hour 0-23, or null with the Day & hour layer off.
+  // Unknown values (an old or hand-edited link) fall back to the layer being off.
+  setState(state) {
+    const hour = state.hour;
+    this.showHeatmap = !!state.heatmap;
+    this.hour = Number.isInteger(hour) && hour >= 0 && hour < 24 ? hour : null;
+    this.day = MapLayers.DAYS.includes(state.day) ? state.day : 'all';
+    
+    this.updateControls();
+    this.render();
+  }
+  
+  setHeatmap(visible) {
+    this.setState({ heatmap: visible, hour: this.hour, day: this.day });
+    this.app.updateUrl();
+  }
+  
+  // The pins and list follow the time slot through the app's filters
+  // (FoodTruckApp.matchesFilters), which redraw the heatmap too
+  setTimeSlot(hour, day = 'all') {
+    this.setState({ heatmap: this.showHeatmap, hour: hour, day: day });
+    this.app.applyFilters({ fitMap: false });
+  }
+  
+  isTimeSlotActive() {
+    return this.hour !== null;
+  }
+  
+  // Whether the event is under way at the chosen hour (and day); always true with the layer off
+  matchesTimeSlot(event) {
+    if (!this.isTimeSlotActive()) return true;
+    
+    const slots = this.getSlots(event);
+    if (this.day !== 'all') {
+      return slots.has(`${this.day}-${this.hour}`);
+    }
+    return MapLayers.DAYS.some(day => slots.has(`${day}-${this.hour}`));
+  }
+  
+  getSlots(event) {
+    if (!this.slots.has(event)) {
+      const slots = new Set();
+      const start = EventStore.startTime(event);
+      
+      if (!Number.isNaN(start)) {
+        // Every hour the stop touches, from the top of its first hour
+        const end = Math.min(EventStore.endTime(event), start + MapLayers.MAX_SLOT_SPAN_MS);
+        for (let time = start - (start % 3600000); time < end; time += 3600000) {
+          const parts = this.formatter.getParts(new Date(time));
+          slots.add(`${parts.weekday}-${parts.hour}`);
+        }
+      }
+      this.slots.set(event, slots);
+    }
+    return this.slots.get(event);
+  }
+  
+  // One point per spot, weighted by how many loaded stops (in the time slot) were there
+  getHeatmapPoints() {
+    const spots = new Map();
+    
+    this.app.store.all().forEach(event => {
+      if (!this.app.hasLocation(event) || !this.matchesTimeSlot(event)) return;
+      if (calculateDistance(DEFAULT_ORIGIN.lat, DEFAULT_ORIGIN.lng, event.lat, event.lng) > SERVICE_AREA_MILES) return;
+      
+      const key = `${event.lat},${event.lng}`;
+      if (!spots.has(key)) {
+        spots.set(key, { lat: event.lat, lng: event.lng, weight: 0 });
+      }
+      spots.get(key).weight++;
+    });
+    
+    return Array.from(spots.values());
+  }
+  
+  render() {
+    if (this.heatmap) {
+      this.heatmap.setVisible(this.showHeatmap);
+      if (this.showHeatmap) {
+        this.heatmap.setPoints(this.getHeatmapPoints());
+      }
+    }
+    
+    const status = document.getElementById('layer-status');
+    if (status) {
+      status.textContent = this.getStatusText();
+    }
+  }
+  
+  // "Heatmap of 38 stops · Fri at 12 PM" and the like
+  getStatusText() {
+    const parts = [];
+    if (this.showHeatmap) {
+      const count = this.getHeatmapPoints().reduce((total, point) => total + point.weight, 0);
+      parts.push(`Heatmap of ${count} ${count === 1 ? 'stop' : 'stops'}`);
+    }
+    if (this.isTimeSlotActive()) {
+      parts.push(`${this.day === 'all' ? 'Any day' : MapLayers.DAY_NAMES[this.day]} at ${this.formatHour(this.hour)}`);
+    }
+    return parts.join(' · ');
+  }
+  
+  // "12 PM" or "12:00", as the rest of the site's times
+  formatHour(hour) {
+    return this.formatter.formatClock({ hour: hour, minute: 0 });
+  }
+  
+  updateControls() {
+    const heatmapToggle = document.getElementById('layer-heatmap');
+    const timeToggle = document.getElementById('layer-time');
+    const daySelect = document.getElementById('layer-day');
+    const hourSlider = document.getElementById('layer-hour');
+    const hourLabel = document.getElementById('layer-hour-label');
+    const timeControls = document.getElementById('layer-time-controls');
+    
+    if (heatmapToggle) heatmapToggle.checked = this.showHeatmap;
+    if (timeToggle) timeToggle.checked = this.isTimeSlotActive();
+    if (daySelect) daySelect.value = this.day;
+    if (timeControls) timeControls.disabled = !this.isTimeSlotActive();
+    
+    const hour = this.isTimeSlotActive() ? this.hour : Number(hourSlider ? hourSlider.value : MapLayers.DEFAULT_HOUR);
+    if (hourSlider) {
+      hourSlider.value = hour;
+      hourSlider.setAttribute('aria-valuetext', this.formatHour(hour));
+    }
+    if (hourLabel) {
+      hourLabel.textContent = this.formatHour(hour);
+    }
+  }
+  
+  // Step hour by hour through MapLayers.PLAY_HOURS, switching the layer on if needed
+  play() {
+    const [first, last] = MapLayers.PLAY_HOURS;
+    if (!this.isTimeSlotActive() || this.hour < first || this.hour >= last) {
+      this.setTimeSlot(first, this.day);
+    }
+    
+    this.setPlaying(true);
+    this.playTimer = setInterval(() => {
+      if (this.hour >= last) {
+        this.stop();
+        return;
+      }
+      this.setTimeSlot(this.hour + 1, this.day);
+    }, MapLayers.PLAY_INTERVAL_MS);
+  }
+  
+  stop() {
+    if (!this.playTimer) return;
+    
+    clearInterval(this.playTimer);
+    this.playTimer = null;
+    this.setPlaying(false);
+  }
+  
+  setPlaying(playing) {
+    const playButton = document.getElementById('layer-play');
+    if (!playButton) return;
+    
+    playButton.textContent = playing ? '⏸ Pause' : '▶ Play';
+    playButton.setAttribute('aria-pressed', String(playing));
+  }
+}
+
+// Weekdays as EventTimeFormatter.getParts gives them (and as they go in the URL, lowercased)
+MapLayers.DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+MapLayers.DAY_NAMES = {
+  Mon: 'Mondays',
+  Tue: 'Tuesdays',
+  Wed: 'Wednesdays',
+  Thu: 'Thursdays',
+  Fri: 'Fridays',
+  Sat: 'Saturdays',
+  Sun: 'Sundays'
+};
+
+// Where Day & hour starts, and the hours Play steps through (6 AM to 11 PM)
+MapLayers.DEFAULT_HOUR = 12;
+MapLayers.PLAY_HOURS = [6, 23];
+MapLayers.PLAY_INTERVAL_MS = 1000;
+
+MapLayers.HEATMAP_RADIUS = 30;
+
+// Longer stops (bad end times) only count for their first day
+MapLayers.MAX_SLOT_SPAN_MS = 24 * 60 * 60 * 1000;
@@ -0,0 +1,160 @@
+// Zoom-aware marker clustering - no external library or service
+// Markers close together on screen are replaced by a single count badge;
+// clicking a badge zooms in until the markers split apart again.
+// Works on the map/marker handles from map-adapters.js, so any provider clusters.
+class MarkerClusterer {
+  constructor(map, markers = [], options = {}) {
+    this.map = map;
+    this.markers = [];
+    this.clusterMarkers = [];
+    this.lastZoom = null;
+    
+    // Markers within gridSize pixels of a cluster's first marker join it
+    this.gridSize = options.gridSize || 60;
+    // Above this zoom every marker is shown on its own
+    this.maxZoom = options.maxZoom || 15;
+    this.minClusterSize = options.minClusterSize || 2;
+    // How many items a marker stands for, e.g. events stacked on one pin
+    this.getWeight = options.getWeight || (() => 1);
+    
+    this.idleListener = this.map.on('idle', () => {
+      // Panning doesn't change which markers overlap, only zooming does
+      if (this.map.getZoom() !== this.lastZoom) {
+        this.render();
+      }
+    });
+    
+    this.setMarkers(markers);
+  }
+  
+  setMarkers(markers) {
+    this.markers = markers.slice();
+    this.render();
+  }
+  
+  render() {
+    const zoom = this.map.getZoom();
+    this.lastZoom = zoom;
+    this.removeClusterMarkers();
+    
+    // Markers hidden by filters take no part in clustering
+    const visibleMarkers = this.markers.filter(marker => marker.getVisible() !== false);
+    
+    if (zoom === undefined || zoom > this.maxZoom) {
+      visibleMarkers.forEach(marker => marker.attach());
+      return;
+    }
+    
+    const clusters = [];
+    visibleMarkers.forEach(marker => {
+      const point = this.project(marker.getPosition(), zoom);
+      const cluster = clusters.find(c =>
+        Math.abs(c.point.x - point.x) <= this.gridSize && Math.abs(c.point.y - point.y) <= this.gridSize
+      );
+      
+      if (cluster) {
+        cluster.markers.push(marker);
+      } else {
+        clusters.push({ point: point, markers: [marker] });
+      }
+    });
+    
+    clusters.forEach(cluster => {
+      if (cluster.markers.length < this.minClusterSize) {
+        cluster.markers.forEach(marker => marker.attach());
+        return;
+      }
+      
+      cluster.markers.forEach(marker => marker.detach());
+      this.clusterMarkers.push(this.createClusterMarker(cluster.markers));
+    });
+  }
+  
+  createClusterMarker(markers) {
+    const positions = markers.map(marker => marker.getPosition());
+    const lat = positions.reduce((total, position) => total + position.lat, 0);
+    const lng = positions.reduce((total, position) => total + position.lng, 0);
+    
+    const count = markers.reduce((total, marker) => total + this.getWeight(marker), 0);
+    const size = count < 10 ? 36 : count < 50 ? 44 : 52;
+    
+    const clusterMarker = this.map.addMarker({
+      position: { lat: lat / markers.length, lng: lng / markers.length },
+      title: `${count} events - click to zoom in`,
+      zIndex: 1000 + count,
+      label: {
+        text: String(count),
+        fontSize: '13px'
+      },
+      icon: {
+        url: this.createClusterIcon(size),
+        size: [size, size],
+        anchor: [size / 2, size / 2],
+        labelOrigin: [size / 2, size / 2]
+      }
+    });
+    
+    clusterMarker.on('click', () => this.zoomToCluster(positions));
+    return clusterMarker;
+  }
+  
+  createClusterIcon(size) {
+    const radius = size / 2;
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">` +
+      `<circle cx="${radius}" cy="${radius}" r="${radius - 1}" fill="#FF4438" fill-opacity="0.3"/>` +
+      `<circle cx="${radius}" cy="${radius}" r="${radius - 6}" fill="#FF4438" stroke="#fff" stroke-width="2"/>` +
+      '</svg>';
+    return `data:image/svg+xml;charset=UTF-8,${encodeURIComponent(svg)}`;
+  }
+  
+  zoomToCluster(positions) {
+    const first = positions[0];
+    const samePosition = positions.every(position => position.lat === first.lat && position.lng === first.lng);
+    
+    // Markers on the exact same spot never split by fitting bounds
+    if (samePosition) {
+      this.map.focus(first, this.maxZoom + 1);
+    } else {
+      this.map.fitBounds(positions);
+    }
+  }
+  
+  // Ensure a marker is on the map on its own, e.g. before anchoring an info window
+  reveal(marker) {
+    if (marker.isAttached()) return;
+    
+    if (this.map.getZoom() <= this.maxZoom) {
+      this.map.setZoom(this.maxZoom + 1);
+    }
+    this.render();
+  }
+  
+  removeClusterMarkers() {
+    this.clusterMarkers.forEach(marker => marker.remove());
+    this.clusterMarkers = [];
+  }
+  
+  clear() {
+    this.removeClusterMarkers();
+    this.markers = [];
+  }
+  
+  destroy() {
+    this.clear();
+    if (this.idleListener) {
+      this.idleListener.remove();
+      this.idleListener = null;
+    }
+  }
+  
+  // Web Mercator world pixel coordinates at the given zoom
+  project(position, zoom) {
+    const scale = 256 * Math.pow(2, zoom);
+    const sinLat = Math.min(Math.max(Math.sin(position.lat * Math.PI / 180), -0.9999), 0.9999);
+    
+    return {
+      x: scale * (0.5 + position.lng / 360),
+      y: scale * (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI))
+    };
+  }
+}
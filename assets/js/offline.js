@@ -0,0 +1,24 @@
+// Offline support - registers the service worker (/sw.js) and shows the
+// "you are offline" banner from _layouts/default.html while the network is gone.
+// Pages served offline come from the last build, and the banner says when that was.
+function registerServiceWorker() {
+  // Without service workers there's no offline mode, but the site works the same
+  if (!('serviceWorker' in navigator)) return;
+  
+  navigator.serviceWorker.register((window.siteBaseUrl || '') + '/sw.js')
+    .catch(error => console.warn('Service worker registration failed:', error));
+}
+
+function updateOfflineBanner() {
+  const banner = document.getElementById('offline-banner');
+  if (!banner) return;
+  
+  banner.hidden = navigator.onLine !== false;
+}
+
+window.addEventListener('online', updateOfflineBanner);
+window.addEventListener('offline', updateOfflineBanner);
+document.addEventListener('DOMContentLoaded', updateOfflineBanner);
+
+// Wait for the page itself so precaching doesn't compete with it on slow connections
+window.addEventListener('load', registerServiceWorker);
@@ -0,0 +1,362 @@
+// Event reminders - "Remind me" 30/60/120 minutes before an event starts
+// Reminders live in localStorage and are shown through the service worker
+// (sw.js) so they appear as system notifications. They're checked against the
+// current build's events: if an event is gone or its time changed, the reminder
+// is flagged in the "My reminders" panel instead of going off as if nothing happened.
+// Nothing runs in the background - reminders go off while the site is open in a tab.
+class Reminders {
+  constructor(store, storageKey = 'pghFoodTrucks.reminders') {
+    this.store = store;
+    this.storageKey = storageKey;
+    this.persistent = true;
+    this.reminders = this.load();
+    this.checkTimer = null;
+    
+    this.prune();
+  }
+  
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey));
+      return Array.isArray(saved) ? saved.filter(reminder => reminder && reminder.eventId) : [];
+    } catch (error) {
+      console.warn('Could not read reminders:', error);
+      this.persistent = false;
+      return [];
+    }
+  }
+  
+  save() {
+    if (!this.persistent) return;
+    
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.reminders));
+    } catch (error) {
+      console.warn('Could not save reminders - they will only last for this page:', error);
+      this.persistent = false;
+    }
+  }
+  
+  all() {
+    return this.reminders
+      .slice()
+      .sort((a, b) => Date.parse(a.start_ts) - Date.parse(b.start_ts));
+  }
+  
+  get(eventId) {
+    return this.reminders.find(reminder => reminder.eventId === String(eventId)) || null;
+  }
+  
+  // One reminder per event; choosing another lead time replaces it
+  add(event, leadMinutes) {
+    this.reminders = this.reminders.filter(reminder => reminder.eventId !== event.id);
+    this.reminders.push({
+      eventId: event.id,
+      leadMinutes: leadMinutes,
+      truck_name: event.truck_name,
+      venue: event.venue,
+      // What the event looked like when the reminder was set, to spot changes later
+      start_ts: event.start_ts,
+      notifiedAt: null
+    });
+    
+    this.save();
+    this.render();
+  }
+  
+  remove(eventId) {
+    this.reminders = this.reminders.filter(reminder => reminder.eventId !== String(eventId));
+    this.save();
+    this.render();
+  }
+  
+  // Accept a changed time: the reminder follows the event's new start
+  acceptChange(eventId) {
+    const reminder = this.get(eventId);
+    const event = this.store.get(eventId);
+    if (!reminder || !event) return;
+    
+    reminder.start_ts = event.start_ts;
+    reminder.notifiedAt = null;
+    this.save();
+    this.render();
+  }
+  
+  // null when the reminder still matches its event, otherwise 'gone' or 'changed'
+  getFlag(reminder) {
+    const event = this.store.get(reminder.eventId);
+    if (!event) return 'gone';
+    if (Date.parse(event.start_ts) !== Date.parse(reminder.start_ts)) return 'changed';
+    return null;
+  }
+  
+  getNotifyTime(reminder) {
+    return Date.parse(reminder.start_ts) - reminder.leadMinutes * 60 * 1000;
+  }
+  
+  // Drop reminders for events that started more than Reminders.KEEP_AFTER_START_MS ago
+  prune(now = Date.now()) {
+    const before = this.reminders.length;
+    this.reminders = this.reminders.filter(reminder => {
+      const event = this.store.get(reminder.eventId);
+      const start = Math.max(Date.parse(reminder.start_ts) || 0, event ? Date.parse(event.start_ts) || 0 : 0);
+      return now - start < Reminders.KEEP_AFTER_START_MS;
+    });
+    
+    if (this.reminders.length !== before) {
+      this.save();
+    }
+  }
+  
+  // ---- Notifications ----
+  
+  // Resolves to the permission. Older Safari only takes a callback and returns
+  // nothing, newer browsers return a Promise - this works with either.
+  requestPermission() {
+    if (!('Notification' in window)) {
+      return Promise.resolve('unsupported');
+    }
+    if (Notification.permission !== 'default') {
+      return Promise.resolve(Notification.permission);
+    }
+    
+    return new Promise(resolve => {
+      const request = Notification.requestPermission(resolve);
+      if (request && typeof request.then === 'function') {
+        request.then(resolve, () => resolve(Notification.permission));
+      }
+    });
+  }
+  
+  showNotification(title, body, eventId) {
+    const options = {
+      body: body,
+      tag: `reminder-${eventId}`,
+      icon: (window.siteBaseUrl || '') + '/assets/images/pin.png',
+      // Opens the event on the home page map
+      data: { url: getEventShareUrl(eventId) }
+    };
+    
+    if (!('Notification' in window) || Notification.permission !== 'granted') {
+      // No system notifications: the panel is the reminder
+      this.openPanel();
+      return Promise.resolve();
+    }
+    
+    if ('serviceWorker' in navigator) {
+      return navigator.serviceWorker.getRegistration()
+        .then(registration => {
+          if (registration) {
+            return registration.showNotification(title, options);
+          }
+          new Notification(title, options);
+        })
+        .catch(error => console.warn('Could not show reminder:', error));
+    }
+    
+    new Notification(title, options);
+    return Promise.resolve();
+  }
+  
+  checkDue(now = Date.now()) {
+    let changed = false;
+    
+    this.reminders.forEach(reminder => {
+      if (reminder.notifiedAt || now < this.getNotifyTime(reminder)) return;
+      
+      const flag = this.getFlag(reminder);
+      const where = `${reminder.truck_name} at ${reminder.venue}`;
+      
+      if (flag === 'gone') {
+        this.showNotification('Check before you go', `${where} is no longer on the schedule.`, reminder.eventId);
+      } else if (flag === 'changed') {
+        const event = this.store.get(reminder.eventId);
+        this.showNotification('Check before you go', `${where} changed time - now ${formatEventDateTime(event.start_ts, event.end_ts)}.`, reminder.eventId);
+      } else {
+        const minutes = Math.max(0, Math.round((Date.parse(reminder.start_ts) - now) / 60000));
+        this.showNotification(`${reminder.truck_name} ${minutes > 0 ? `in ${minutes} min` : 'is starting'}`, `${reminder.venue}`, reminder.eventId);
+      }
+      
+      reminder.notifiedAt = new Date(now).toISOString();
+      changed = true;
+    });
+    
+    if (changed) {
+      this.save();
+      this.render();
+    }
+  }
+  
+  start() {
+    if (this.checkTimer) return;
+    
+    this.checkDue();
+    this.checkTimer = setInterval(() => this.checkDue(), Reminders.CHECK_INTERVAL_MS);
+    
+    // Timers sleep in background tabs; check as soon as the page is visible again
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) {
+        this.checkDue();
+      }
+    });
+  }
+  
+  // ---- Panel ----
+  
+  openPanel() {
+    const panel = document.getElementById('reminders-panel');
+    const toggle = document.getElementById('reminders-toggle');
+    if (!panel) return;
+    
+    panel.hidden = false;
+    if (toggle) {
+      toggle.setAttribute('aria-expanded', 'true');
+    }
+  }
+  
+  togglePanel() {
+    const panel = document.getElementById('reminders-panel');
+    const toggle = document.getElementById('reminders-toggle');
+    if (!panel) return;
+    
+    panel.hidden = !panel.hidden;
+    if (toggle) {
+      toggle.setAttribute('aria-expanded', String(!panel.hidden));
+    }
+  }
+  
+  getLeadLabel(minutes) {
+    return minutes >= 60 ? `${minutes / 60} hr before` : `${minutes} min before`;
+  }
+  
+  // The menu for cards built in the browser - the same markup as _includes/remind-menu.html
+  static renderMenu(eventId) {
+    return html`
+      <details class="reminder-menu" data-remind-menu="${eventId}">
+        <summary class="reminder-menu__label">⏰ Remind me</summary>
+        <div class="reminder-menu__options">
+          <button type="button" class="reminder-menu__option" data-remind-minutes="30">30 min before</button>
+          <button type="button" class="reminder-menu__option" data-remind-minutes="60">1 hr before</button>
+          <button type="button" class="reminder-menu__option" data-remind-minutes="120">2 hr before</button>
+          <button type="button" class="reminder-menu__option" data-remind-minutes="0">No reminder</button>
+          <p class="reminder-menu__note">Goes off while this site is open in a tab</p>
+        </div>
+      </details>
+    `;
+  }
+  
+  render() {
+    const list = document.getElementById('reminders-list');
+    const count = document.getElementById('reminders-count');
+    const reminders = this.all();
+    const flagged = reminders.filter(reminder => this.getFlag(reminder)).length;
+    
+    if (count) {
+      count.textContent = reminders.length;
+      count.hidden = reminders.length === 0;
+      count.classList.toggle('reminders__count--flagged', flagged > 0);
+    }
+    
+    // Reflect existing reminders on the "Remind me" menus; events already under way don't get one
+    document.querySelectorAll('[data-remind-menu]').forEach(menu => {
+      const reminder = this.get(menu.dataset.remindMenu);
+      const event = this.store.get(menu.dataset.remindMenu);
+      const status = event ? EventStore.getStatus(event) : 'ended';
+      
+      menu.hidden = !reminder && (status === 'now' || status === 'ended');
+      menu.classList.toggle('reminder-menu--set', !!reminder);
+      
+      const label = menu.querySelector('.reminder-menu__label');
+      if (label) {
+        label.textContent = reminder ? `⏰ ${this.getLeadLabel(reminder.leadMinutes)}` : '⏰ Remind me';
+      }
+    });
+    
+    if (!list) return;
+    
+    if (reminders.length === 0) {
+      renderHtml(list, html`<li class="reminders__empty">No reminders yet. Use "Remind me" on an event.</li>`);
+      return;
+    }
+    
+    renderHtml(list, reminders.map(reminder => {
+      const flag = this.getFlag(reminder);
+      const event = this.store.get(reminder.eventId);
+      const when = formatEventDateTime(flag === 'changed' ? event.start_ts : reminder.start_ts, event ? event.end_ts : null);
+      const notes = {
+        gone: 'No longer on the schedule - it may be cancelled.',
+        changed: `Time changed - it was ${formatEventDateTime(reminder.start_ts)}.`
+      };
+      
+      return html`
+        <li class="reminders__item${flag ? ` reminders__item--${flag}` : ''}">
+          <strong class="reminders__truck">${reminder.truck_name}</strong>
+          <span class="reminders__where">${reminder.venue} · ${when}</span>
+          <span class="reminders__lead">${this.getLeadLabel(reminder.leadMinutes)}</span>
+          ${flag ? html`<span class="reminders__flag">⚠️ ${notes[flag]}</span>` : ''}
+          <span class="reminders__actions">
+            ${flag === 'changed' ? html`<button type="button" class="btn btn--small btn--pill" data-reminder-accept="${reminder.eventId}">Use new time</button>` : ''}
+            <button type="button" class="btn btn--small btn--secondary btn--pill" data-reminder-cancel="${reminder.eventId}">Cancel</button>
+          </span>
+        </li>
+      `;
+    }));
+  }
+}
+
+// Every this often, due reminders are shown
+Reminders.CHECK_INTERVAL_MS = 30 * 1000;
+
+// Reminders are kept this long after their event starts, then dropped
+Reminders.KEEP_AFTER_START_MS = 12 * 60 * 60 * 1000;
+
+// Shared reminders for the page, created on first use
+function getReminders() {
+  if (!window.eventReminders) {
+    window.eventReminders = new Reminders(getEventStore());
+  }
+  return window.eventReminders;
+}
+
+document.addEventListener('click', (e) => {
+  const choice = e.target.closest('[data-remind-minutes]');
+  const cancel = e.target.closest('[data-reminder-cancel]');
+  const accept = e.target.closest('[data-reminder-accept]');
+  const toggle = e.target.closest('#reminders-toggle');
+  if (!choice && !cancel && !accept && !toggle) return;
+  
+  const reminders = getReminders();
+  
+  if (toggle) {
+    reminders.togglePanel();
+  } else if (cancel) {
+    reminders.remove(cancel.dataset.reminderCancel);
+  } else if (accept) {
+    reminders.acceptChange(accept.dataset.reminderAccept);
+  } else {
+    const menu = choice.closest('[data-remind-menu]');
+    const event = getEventStore().get(menu ? menu.dataset.remindMenu : '');
+    if (!event) {
+      console.error('Event not found for reminder');
+      return;
+    }
+    
+    const minutes = Number(choice.dataset.remindMinutes);
+    if (minutes === 0) {
+      reminders.remove(event.id);
+    } else {
+      // Ask for notifications on the first reminder; the panel still works without them
+      reminders.requestPermission().then(() => reminders.add(event, minutes));
+    }
+    
+    if (menu && menu.tagName === 'DETAILS') {
+      menu.open = false;
+    }
+  }
+});
+
+document.addEventListener('DOMContentLoaded', () => {
+  const reminders = getReminders();
+  reminders.render();
+  reminders.start();
+});
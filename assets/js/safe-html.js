@@ -0,0 +1,100 @@
+// Safe HTML - venue names, addresses and links come from scraped posts, so
+// nothing from an event goes into markup as-is. Build markup with the html``
+// tag: every interpolated value is escaped, except other html`` fragments
+// (or arrays of them). Links from event data go through safeUrl first.
+//
+//   html`<h3>${event.venue}</h3>${following ? html`<span>★</span>` : ''}`
+
+class SafeHtml {
+  constructor(markup) {
+    this.markup = markup;
+  }
+  
+  toString() {
+    return this.markup;
+  }
+}
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// null, undefined and false render as nothing, so `${cond && html`...`}` works
+function renderHtmlValue(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (value instanceof SafeHtml) return value.markup;
+  if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((markup, string, index) => {
+    return markup + string + (index < values.length ? renderHtmlValue(values[index]) : '');
+  }, ''));
+}
+
+// Replace an element's contents with a fragment
+function renderHtml(element, fragment) {
+  const template = document.createElement('template');
+  template.innerHTML = renderHtmlValue(fragment);
+  element.replaceChildren(template.content);
+}
+
+// Only http(s) links - javascript:, data: and anything unparseable give null.
+// Relative URLs are resolved against the page, except protocol-relative ones
+// ("//host", or "/\host" which browsers read the same way): a scraped link
+// shouldn't pick its host by looking like a path.
+const SAFE_URL_PROTOCOLS = ['http:', 'https:'];
+
+function safeUrl(url) {
+  if (typeof url !== 'string') return null;
+  
+  // As the URL parser sees it: tabs and newlines dropped, control characters and spaces trimmed
+  const cleaned = url.replace(/[\t\n\r]/g, '').replace(/^[\x00-\x20]+|[\x00-\x20]+$/g, '');
+  if (cleaned === '' || /^[\\/]{2}/.test(cleaned)) return null;
+  
+  try {
+    const parsed = new URL(cleaned, window.location.href);
+    return SAFE_URL_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Google Maps directions to a point, or null without usable coordinates
+function getDirectionsUrl(lat, lng) {
+  if (lat === null || lng === null || !Number.isFinite(Number(lat)) || !Number.isFinite(Number(lng))) {
+    return null;
+  }
+  return `https://www.google.com/maps/dir/?api=1&destination=${Number(lat)},${Number(lng)}`;
+}
+
+// Google Maps directions through several points in order - up to 9 waypoints
+// before the destination - or null without any usable coordinates. With no
+// origin, Google starts from wherever the visitor is.
+function getRouteDirectionsUrl(positions, origin = null) {
+  const points = positions
+    .filter(position => position.lat !== null && position.lng !== null &&
+      Number.isFinite(Number(position.lat)) && Number.isFinite(Number(position.lng)))
+    .map(position => `${Number(position.lat)},${Number(position.lng)}`);
+  if (points.length === 0) return null;
+  
+  const params = new URLSearchParams({ api: '1' });
+  if (origin) {
+    params.set('origin', `${Number(origin.lat)},${Number(origin.lng)}`);
+  }
+  params.set('destination', points[points.length - 1]);
+  if (points.length > 1) {
+    params.set('waypoints', points.slice(0, -1).join('|'));
+  }
+  params.set('travelmode', 'driving');
+  return `https://www.google.com/maps/dir/?${params}`;
+}
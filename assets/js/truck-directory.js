@@ -0,0 +1,139 @@
+// Truck directory (/trucks/) - instant search, the "Out today" filter and each
+// truck's next stop, from the same _data/trucks.json the page is built from
+// (window.siteData.trucks). Jekyll renders the list, so it works without JavaScript.
+class TruckDirectory {
+  constructor(trucks, formatter = getEventTimeFormatter()) {
+    this.trucks = new Map(trucks.map(truck => [truck.name, truck]));
+    this.formatter = formatter;
+    this.query = '';
+    this.outToday = false;
+    this.refreshTimer = null;
+  }
+  
+  init() {
+    const search = document.getElementById('directory-search');
+    const outToday = document.getElementById('directory-out-today');
+    
+    if (search) {
+      search.addEventListener('input', () => {
+        this.query = search.value.trim().toLowerCase();
+        this.apply();
+      });
+    }
+    
+    if (outToday) {
+      outToday.addEventListener('change', () => {
+        this.outToday = outToday.checked;
+        this.apply();
+      });
+    }
+    
+    this.refresh();
+    this.refreshTimer = setInterval(() => this.refresh(), TruckDirectory.REFRESH_MS);
+  }
+  
+  refresh() {
+    this.updateNextStops();
+    this.apply();
+  }
+  
+  // The truck's next event that hasn't ended yet (possibly under way), or null
+  getNextEvent(truck, now = Date.now()) {
+    return (truck.events || [])
+      .filter(event => event.start_ts && EventStore.getStatus(event, now) !== 'ended')
+      .sort((a, b) => Date.parse(a.start_ts) - Date.parse(b.start_ts))[0] || null;
+  }
+  
+  // Out today: a stop today, in the site's timezone, that hasn't ended
+  isOutToday(truck, now = Date.now()) {
+    const next = this.getNextEvent(truck, now);
+    if (!next) return false;
+    
+    return this.formatter.getParts(next.start_ts).dayNumber <= this.formatter.getParts(new Date(now)).dayNumber;
+  }
+  
+  matches(truck, now = Date.now()) {
+    if (this.outToday && !this.isOutToday(truck, now)) {
+      return false;
+    }
+    if (!this.query) return true;
+    
+    const haystack = [truck.name]
+      .concat((truck.events || []).map(event => event.venue))
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    return haystack.includes(this.query);
+  }
+  
+  updateNextStops(now = Date.now()) {
+    document.querySelectorAll('[data-directory-truck]').forEach(item => {
+      const truck = this.trucks.get(item.dataset.directoryTruck);
+      const label = item.querySelector('[data-directory-next]');
+      if (!truck || !label) return;
+      
+      const next = this.getNextEvent(truck, now);
+      const status = next ? EventStore.getStatus(next, now) : null;
+      
+      if (!next) {
+        label.textContent = 'No upcoming stops';
+      } else if (status === 'now') {
+        label.textContent = `Out now at ${next.venue}`;
+      } else {
+        label.textContent = `Next: ${this.formatter.format(next.start_ts, next.end_ts, new Date(now))} at ${next.venue}`;
+      }
+      
+      item.classList.toggle('directory__item--now', status === 'now');
+      item.classList.toggle('directory__item--idle', !next);
+    });
+  }
+  
+  apply(now = Date.now()) {
+    let shown = 0;
+    
+    document.querySelectorAll('[data-directory-group]').forEach(group => {
+      let groupShown = 0;
+      
+      group.querySelectorAll('[data-directory-truck]').forEach(item => {
+        const truck = this.trucks.get(item.dataset.directoryTruck);
+        const visible = !!truck && this.matches(truck, now);
+        item.hidden = !visible;
+        if (visible) groupShown++;
+      });
+      
+      // Letters with nothing left to show drop out of the A-Z index too
+      group.hidden = groupShown === 0;
+      const link = document.querySelector(`[data-directory-letter="${group.dataset.directoryGroup}"]`);
+      if (link) {
+        link.classList.toggle('directory__index-link--empty', groupShown === 0);
+      }
+      
+      shown += groupShown;
+    });
+    
+    const count = document.getElementById('directory-count');
+    if (count) {
+      count.textContent = shown;
+    }
+    
+    const empty = document.getElementById('directory-empty');
+    if (empty) {
+      empty.hidden = shown > 0;
+    }
+    
+    const status = document.getElementById('directory-status');
+    if (status) {
+      status.textContent = `${shown} ${shown === 1 ? 'truck' : 'trucks'} shown`;
+    }
+  }
+}
+
+// How often "next stop" labels and "Out today" are re-checked
+TruckDirectory.REFRESH_MS = 60 * 1000;
+
+document.addEventListener('DOMContentLoaded', () => {
+  if (!document.getElementById('truck-directory')) return;
+  
+  window.truckDirectory = new TruckDirectory(window.siteData?.trucks || []);
+  window.truckDirectory.init();
+});
@@ -0,0 +1,222 @@
+// Truck schedule (truck page) - a week-by-week timeline of one truck's stops and
+// a slider that steps through them in time order. initTruckMap (main.js) draws
+// the route between stops and follows the slider with the map.
+class TruckSchedule {
+  constructor(events, formatter = getEventTimeFormatter()) {
+    this.events = events
+      .filter(event => event.start_ts)
+      .sort((a, b) => EventStore.startTime(a) - EventStore.startTime(b));
+    this.formatter = formatter;
+    this.currentIndex = -1;
+    this.listeners = new Set();
+    this.playTimer = null;
+  }
+  
+  // The next stop that hasn't ended, or the last one when they all have
+  getStartIndex(now = Date.now()) {
+    const next = this.events.findIndex(event => EventStore.getStatus(event, now) !== 'ended');
+    return next === -1 ? this.events.length - 1 : next;
+  }
+  
+  // Stops grouped into Monday-to-Sunday weeks in the site's timezone.
+  // Only weeks with stops are included.
+  getWeeks() {
+    const weeks = new Map();
+    
+    this.events.forEach((event, index) => {
+      const dayNumber = this.formatter.getParts(event.start_ts).dayNumber;
+      // Day 0 (Jan 1, 1970) was a Thursday
+      const weekStart = dayNumber - ((dayNumber + 3) % 7);
+      
+      if (!weeks.has(weekStart)) {
+        weeks.set(weekStart, Array.from({ length: 7 }, (_, offset) => ({ dayNumber: weekStart + offset, stops: [] })));
+      }
+      weeks.get(weekStart)[dayNumber - weekStart].stops.push({ event: event, index: index });
+    });
+    
+    return Array.from(weeks.entries()).map(([start, days]) => ({ start: start, days: days }));
+  }
+  
+  // "Thu Oct 2" (or "Oct 2") for a day number
+  formatDay(dayNumber, withWeekday = true) {
+    const date = new Date(dayNumber * 86400000);
+    const day = `${EventTimeFormatter.MONTHS[date.getUTCMonth()]} ${date.getUTCDate()}`;
+    return withWeekday ? `${TruckSchedule.WEEKDAYS[date.getUTCDay()]} ${day}` : day;
+  }
+  
+  render(now = Date.now()) {
+    const timeline = document.getElementById('truck-timeline');
+    if (!timeline) return;
+    
+    const today = this.formatter.getParts(new Date(now)).dayNumber;
+    
+    renderHtml(timeline, this.getWeeks().map(week => html`
+      <section class="schedule__week">
+        <h3 class="schedule__week-title">Week of ${this.formatDay(week.start, false)}</h3>
+        <ol class="schedule__days">
+          ${week.days.map(day => html`
+            <li class="schedule__day${day.dayNumber === today ? ' schedule__day--today' : ''}${day.stops.length === 0 ? ' schedule__day--empty' : ''}">
+              <span class="schedule__day-label">${this.formatDay(day.dayNumber)}</span>
+              ${day.stops.map(({ event, index }) => html`
+                <button type="button" class="schedule__stop schedule__stop--${EventStore.getStatus(event, now)}" data-schedule-index="${index}">
+                  <span class="schedule__stop-time">${this.formatter.formatTimeRange(event.start_ts, event.end_ts)}</span>
+                  <span class="schedule__stop-venue">${event.venue}</span>
+                </button>
+              `)}
+            </li>
+          `)}
+        </ol>
+      </section>
+    `));
+    
+    if (this.currentIndex !== -1) {
+      this.setCurrent(this.currentIndex, { scroll: false });
+    }
+  }
+  
+  init() {
+    const slider = document.getElementById('truck-playback');
+    const playButton = document.getElementById('truck-playback-play');
+    const timeline = document.getElementById('truck-timeline');
+    
+    if (this.events.length === 0) {
+      const schedule = document.getElementById('truck-schedule');
+      if (schedule) {
+        schedule.hidden = true;
+      }
+      return;
+    }
+    
+    this.render();
+    
+    if (slider) {
+      slider.max = this.events.length - 1;
+      slider.addEventListener('input', () => {
+        this.stop();
+        this.setCurrent(Number(slider.value));
+      });
+    }
+    
+    if (playButton) {
+      playButton.addEventListener('click', () => {
+        if (this.playTimer) {
+          this.stop();
+        } else {
+          this.play();
+        }
+      });
+    }
+    
+    if (timeline) {
+      timeline.addEventListener('click', (e) => {
+        const stop = e.target.closest('[data-schedule-index]');
+        if (stop) {
+          this.stop();
+          this.setCurrent(Number(stop.dataset.scheduleIndex));
+        }
+      });
+    }
+    
+    this.setCurrent(this.getStartIndex());
+  }
+  
+  setCurrent(index, options = {}) {
+    if (index < 0 || index >= this.events.length) return;
+    
+    this.currentIndex = index;
+    const event = this.events[index];
+    
+    const slider = document.getElementById('truck-playback');
+    if (slider) {
+      slider.value = index;
+      slider.setAttribute('aria-valuetext', this.getStopLabel(index));
+    }
+    
+    const label = document.getElementById('truck-playback-label');
+    if (label) {
+      label.textContent = this.getStopLabel(index);
+    }
+    
+    document.querySelectorAll('.schedule__stop--current').forEach(stop => {
+      stop.classList.remove('schedule__stop--current');
+      stop.removeAttribute('aria-current');
+    });
+    
+    const stop = document.querySelector(`.schedule__stop[data-schedule-index="${index}"]`);
+    if (stop) {
+      stop.classList.add('schedule__stop--current');
+      stop.setAttribute('aria-current', 'step');
+      if (options.scroll !== false) {
+        this.scrollTimelineTo(stop);
+      }
+    }
+    
+    this.listeners.forEach(listener => listener(event, index));
+  }
+  
+  // "Stop 3 of 12: Thu Oct 2 6–9 PM at Venue"
+  getStopLabel(index) {
+    const event = this.events[index];
+    return `Stop ${index + 1} of ${this.events.length}: ${this.formatter.format(event.start_ts, event.end_ts)} at ${event.venue}`;
+  }
+  
+  // Keep the current stop in view by scrolling the timeline only, not the page
+  scrollTimelineTo(stop) {
+    const timeline = document.getElementById('truck-timeline');
+    if (!timeline) return;
+    
+    const timelineBox = timeline.getBoundingClientRect();
+    const stopBox = stop.getBoundingClientRect();
+    if (stopBox.top < timelineBox.top || stopBox.bottom > timelineBox.bottom) {
+      timeline.scrollTop += stopBox.top - timelineBox.top - (timeline.clientHeight - stopBox.height) / 2;
+    }
+  }
+  
+  // Step through the remaining stops, starting over from the first at the end
+  play() {
+    if (this.events.length < 2) return;
+    
+    if (this.currentIndex >= this.events.length - 1) {
+      this.setCurrent(0);
+    }
+    
+    this.setPlaying(true);
+    this.playTimer = setInterval(() => {
+      if (this.currentIndex >= this.events.length - 1) {
+        this.stop();
+        return;
+      }
+      this.setCurrent(this.currentIndex + 1);
+    }, TruckSchedule.PLAY_INTERVAL_MS);
+  }
+  
+  stop() {
+    if (!this.playTimer) return;
+    
+    clearInterval(this.playTimer);
+    this.playTimer = null;
+    this.setPlaying(false);
+  }
+  
+  setPlaying(playing) {
+    const playButton = document.getElementById('truck-playback-play');
+    if (!playButton) return;
+    
+    playButton.textContent = playing ? '⏸ Pause' : '▶ Play';
+    playButton.setAttribute('aria-pressed', String(playing));
+  }
+  
+  // listener(event, index) runs whenever the current stop changes
+  subscribe(listener) {
+    this.listeners.add(listener);
+    if (this.currentIndex !== -1) {
+      listener(this.events[this.currentIndex], this.currentIndex);
+    }
+    return () => this.listeners.delete(listener);
+  }
+}
+
+TruckSchedule.WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Time on each stop while the schedule plays
+TruckSchedule.PLAY_INTERVAL_MS = 1500;
@@ -0,0 +1,140 @@
+// Deep links - the home page keeps its state in the URL hash, so a view can be
+// bookmarked, shared, or stepped through with back/forward:
+//   /#event=42&map=40.4406,-79.9959,14&date=7&truck=Blue+Sparrow&confidence=likely&sort=distance&view=week
+//   /#heatmap=1&day=fri&hour=18 (map-layers.js)
+// Only values that differ from the defaults are written. Page anchors like #events
+// are not state and are left alone. Share buttons link to /#event=<id>.
+
+// Hash keys, in the order they're written
+const URL_STATE_KEYS = ['event', 'map', 'date', 'truck', 'venue', 'near', 'radius', 'ended', 'mine', 'confidence', 'sort', 'view', 'heatmap', 'day', 'hour'];
+
+// State hashes are key=value pairs (or empty); anything else is a page anchor
+function isUrlStateHash(hash) {
+  const value = hash.replace(/^#/, '');
+  return value === '' || value.includes('=');
+}
+
+// { event: '42', truck: ['A', 'B'], ... } from a hash, or null for a page anchor
+function parseUrlState(hash = window.location.hash) {
+  if (!isUrlStateHash(hash)) return null;
+  
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const state = {};
+  URL_STATE_KEYS.forEach(key => {
+    const values = params.getAll(key);
+    if (values.length > 0) {
+      state[key] = key === 'truck' ? values : values[0];
+    }
+  });
+  return state;
+}
+
+// "#event=42&..." for a state object; empty, false and null values are left out
+function buildUrlState(state) {
+  const params = new URLSearchParams();
+  URL_STATE_KEYS.forEach(key => {
+    [].concat(state[key]).forEach(value => {
+      if (value === null || value === undefined || value === '' || value === false) return;
+      params.append(key, value === true ? '1' : value);
+    });
+  });
+  
+  // Commas are fine in a hash and keep map=lat,lng,zoom readable
+  const query = params.toString().replace(/%2C/g, ',');
+  return query ? `#${query}` : '';
+}
+
+// Put the state in the address bar; push adds a back/forward step, otherwise
+// the current history entry is updated in place
+function saveUrlState(state, push = false) {
+  if (!window.history || !window.history.replaceState) return;
+  
+  const page = window.location.pathname + window.location.search;
+  const url = page + buildUrlState(state);
+  if (url === page + window.location.hash) return;
+  
+  try {
+    if (push) {
+      window.history.pushState(null, '', url);
+    } else {
+      window.history.replaceState(null, '', url);
+    }
+  } catch (error) {
+    // Some browsers limit how often history can change
+    console.warn('Could not update the page URL:', error);
+  }
+}
+
+// Absolute link to the home page focused on one event
+function getEventShareUrl(eventId) {
+  const home = (window.siteBaseUrl || '') + '/' + buildUrlState({ event: eventId });
+  return new URL(home, window.location.href).href;
+}
+
+// Web Share where the browser has it, otherwise copy the link.
+// Resolves with 'shared', 'copied', 'prompted' or 'cancelled'.
+function shareEventLink(event, url) {
+  const data = {
+    title: `${event.truck_name} at ${event.venue}`,
+    text: event.start_ts ? `${event.truck_name} at ${event.venue}, ${formatEventDateTime(event.start_ts, event.end_ts)}` : `${event.truck_name} at ${event.venue}`,
+    url: url
+  };
+  
+  if (navigator.share) {
+    return navigator.share(data)
+      .then(() => 'shared')
+      .catch(error => {
+        // Closing the share sheet isn't a failure
+        if (error.name === 'AbortError') return 'cancelled';
+        console.warn('Sharing failed, copying the link instead:', error);
+        return copyLink(url);
+      });
+  }
+  
+  return copyLink(url);
+}
+
+function copyLink(url) {
+  const promptForCopy = () => {
+    window.prompt('Copy this link:', url);
+    return 'prompted';
+  };
+  
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    return navigator.clipboard.writeText(url)
+      .then(() => 'copied')
+      .catch(error => {
+        console.warn('Could not copy the link:', error);
+        return promptForCopy();
+      });
+  }
+  
+  return Promise.resolve(promptForCopy());
+}
+
+document.addEventListener('click', (e) => {
+  const button = e.target.closest('[data-share-event-id]');
+  if (!button) return;
+  
+  const eventId = button.dataset.shareEventId;
+  const event = getEventStore().get(eventId);
+  if (!event) {
+    console.error(`Event ${eventId} not found for sharing`);
+    return;
+  }
+  
+  // Event pages share themselves; everywhere else links to the event on the home page map
+  const url = button.dataset.shareUrl || getEventShareUrl(eventId);
+  
+  shareEventLink(event, url).then(result => {
+    if (result !== 'copied') return;
+    
+    if (!button.dataset.shareLabel) {
+      button.dataset.shareLabel = button.textContent;
+    }
+    button.textContent = 'Link copied';
+    setTimeout(() => {
+      button.textContent = button.dataset.shareLabel;
+    }, 2000);
+  });
+});
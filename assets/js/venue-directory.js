@@ -0,0 +1,126 @@
+// Venue directory (/venues/) - instant search over venue names, addresses and
+// the trucks seen there, an "Upcoming stops only" filter and each venue's next
+// stop. Venues come from _plugins/venue_pages.rb (window.siteData.venues); their
+// events are read from the shared event store, so merged reports count once.
+class VenueDirectory {
+  constructor(venues, store = getEventStore(), formatter = getEventTimeFormatter()) {
+    this.venues = new Map(venues.map(venue => [venue.slug, venue]));
+    this.store = store;
+    this.formatter = formatter;
+    this.query = '';
+    this.upcomingOnly = false;
+    this.refreshTimer = null;
+  }
+  
+  init() {
+    const search = document.getElementById('directory-search');
+    const upcoming = document.getElementById('directory-upcoming');
+    
+    if (search) {
+      search.addEventListener('input', () => {
+        this.query = search.value.trim().toLowerCase();
+        this.apply();
+      });
+    }
+    
+    if (upcoming) {
+      upcoming.addEventListener('change', () => {
+        this.upcomingOnly = upcoming.checked;
+        this.apply();
+      });
+    }
+    
+    this.refresh();
+    this.refreshTimer = setInterval(() => this.refresh(), VenueDirectory.REFRESH_MS);
+  }
+  
+  refresh() {
+    this.updateNextStops();
+    this.apply();
+  }
+  
+  // The venue's events from the store, each once
+  getEvents(venue) {
+    const events = (venue.event_ids || []).map(id => this.store.get(id)).filter(Boolean);
+    return Array.from(new Set(events));
+  }
+  
+  // The venue's next event that hasn't ended yet (possibly under way), or null
+  getNextEvent(venue, now = Date.now()) {
+    return this.getEvents(venue)
+      .filter(event => event.start_ts && EventStore.getStatus(event, now) !== 'ended')
+      .sort((a, b) => EventStore.startTime(a) - EventStore.startTime(b))[0] || null;
+  }
+  
+  matches(venue, now = Date.now()) {
+    if (this.upcomingOnly && !this.getNextEvent(venue, now)) {
+      return false;
+    }
+    if (!this.query) return true;
+    
+    const haystack = [venue.name, venue.address]
+      .concat((venue.trucks || []).map(truck => truck.name))
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+    return haystack.includes(this.query);
+  }
+  
+  updateNextStops(now = Date.now()) {
+    document.querySelectorAll('[data-directory-venue]').forEach(item => {
+      const venue = this.venues.get(item.dataset.directoryVenue);
+      const label = item.querySelector('[data-directory-next]');
+      if (!venue || !label) return;
+      
+      const next = this.getNextEvent(venue, now);
+      const status = next ? EventStore.getStatus(next, now) : null;
+      
+      if (!next) {
+        label.textContent = 'No upcoming stops';
+      } else if (status === 'now') {
+        label.textContent = `${next.truck_name} is here now`;
+      } else {
+        label.textContent = `Next: ${next.truck_name}, ${this.formatter.format(next.start_ts, next.end_ts, new Date(now))}`;
+      }
+      
+      item.classList.toggle('directory__item--now', status === 'now');
+      item.classList.toggle('directory__item--idle', !next);
+    });
+  }
+  
+  apply(now = Date.now()) {
+    let shown = 0;
+    
+    document.querySelectorAll('[data-directory-venue]').forEach(item => {
+      const venue = this.venues.get(item.dataset.directoryVenue);
+      const visible = !!venue && this.matches(venue, now);
+      item.hidden = !visible;
+      if (visible) shown++;
+    });
+    
+    const count = document.getElementById('directory-count');
+    if (count) {
+      count.textContent = shown;
+    }
+    
+    const empty = document.getElementById('directory-empty');
+    if (empty) {
+      empty.hidden = shown > 0;
+    }
+    
+    const status = document.getElementById('directory-status');
+    if (status) {
+      status.textContent = `${shown} ${shown === 1 ? 'venue' : 'venues'} shown`;
+    }
+  }
+}
+
+// How often "next stop" labels and "Upcoming stops only" are re-checked
+VenueDirectory.REFRESH_MS = 60 * 1000;
+
+document.addEventListener('DOMContentLoaded', () => {
+  if (!document.getElementById('venue-directory')) return;
+  
+  window.venueDirectory = new VenueDirectory(window.siteData?.venues || []);
+  window.venueDirectory.init();
+});
@@ -0,0 +1,51 @@
+// "New since your last visit" - remembers which events (and which version of each,
+// by last_seen_at) were on the site when the visitor was last here.
+// The previous visit is pinned for the whole browser session, so reloading the
+// page doesn't clear the badges. No storage means nothing is ever marked new.
+class VisitHistory {
+  constructor(events = [], storageKey = 'pghFoodTrucks.lastVisit') {
+    this.storageKey = storageKey;
+    this.baseline = this.loadBaseline();
+    this.record(events);
+  }
+  
+  loadBaseline() {
+    try {
+      let saved = sessionStorage.getItem(this.storageKey);
+      
+      // First page of this session: whatever was saved last time is the previous visit
+      if (saved === null) {
+        saved = localStorage.getItem(this.storageKey) || 'null';
+        sessionStorage.setItem(this.storageKey, saved);
+      }
+      
+      const baseline = JSON.parse(saved);
+      return baseline && typeof baseline === 'object' ? baseline : null;
+    } catch (error) {
+      console.warn('Could not read the previous visit - "new" badges are off:', error);
+      return null;
+    }
+  }
+  
+  // Remember the current events for the next visit
+  record(events) {
+    const seen = {};
+    events.forEach(event => {
+      seen[event.id] = event.last_seen_at || '';
+    });
+    
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(seen));
+    } catch (error) {
+      console.warn('Could not save this visit:', error);
+    }
+  }
+  
+  // New events, or events re-reported since the last visit; never on a first visit
+  isNew(event) {
+    if (!this.baseline) return false;
+    
+    if (!(event.id in this.baseline)) return true;
+    return (event.last_seen_at || '') !== this.baseline[event.id];
+  }
+}
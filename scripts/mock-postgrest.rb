@@ -0,0 +1,90 @@
+#!/usr/bin/env ruby
+require 'socket'
+require 'json'
+
+# A stand-in for Supabase's REST API (PostgREST) for trying out live refresh
+# locally. Serves GET /rest/v1/public_events from a JSON file, re-read on every
+# request - edit the file while the site is open to add, move or drop events.
+#
+#   ruby scripts/mock-postgrest.rb [events.json]
+#
+# Then build the site with SUPABASE_URL=http://localhost:54321, any
+# SUPABASE_ANON_KEY, and live_refresh.enabled: true in _config.yml.
+#
+# MOCK_PORT    - port to listen on (default 54321)
+# MOCK_FAIL    - answer every request with this status (e.g. 503), to watch the backoff
+# MOCK_DELAY   - seconds to wait before answering, to try the request timeout
+class MockPostgrest
+  ENDPOINT = '/rest/v1/public_events'
+
+  def initialize(events_file)
+    @events_file = events_file
+    @port = (ENV['MOCK_PORT'] || 54321).to_i
+    @fail_status = ENV['MOCK_FAIL'] ? ENV['MOCK_FAIL'].to_i : nil
+    @delay = (ENV['MOCK_DELAY'] || 0).to_f
+  end
+
+  def run
+    server = TCPServer.new('127.0.0.1', @port)
+    puts "🧪 Mock PostgREST on http://localhost:#{@port}#{ENDPOINT}"
+    puts "📄 Serving #{@events_file}"
+    puts "⚠️  Failing every request with #{@fail_status}" if @fail_status
+
+    loop do
+      client = server.accept
+      begin
+        handle(client)
+      rescue => e
+        puts "❌ Error handling request: #{e.message}"
+      ensure
+        client.close
+      end
+    end
+  rescue Interrupt
+    puts "\n👋 Stopped"
+  end
+
+  private
+
+  def handle(client)
+    request_line = client.gets
+    return unless request_line
+
+    method, target = request_line.split(' ')
+    # Skip the request headers
+    while (line = client.gets) && line != "\r\n"; end
+
+    path = target.to_s.split('?').first
+    puts "#{method} #{target}"
+
+    sleep(@delay) if @delay > 0
+
+    if method == 'OPTIONS'
+      respond(client, 204, '')
+    elsif path != ENDPOINT
+      respond(client, 404, { message: "No route for #{path}" }.to_json)
+    elsif @fail_status
+      respond(client, @fail_status, { message: 'Mock failure' }.to_json)
+    else
+      respond(client, 200, File.read(@events_file))
+    end
+  rescue Errno::ENOENT => e
+    respond(client, 500, { message: e.message }.to_json)
+  end
+
+  def respond(client, status, body)
+    client.write("HTTP/1.1 #{status} Mock\r\n")
+    client.write("Content-Type: application/json\r\n")
+    client.write("Content-Length: #{body.bytesize}\r\n")
+    # The site is served from another port, so the browser needs CORS
+    client.write("Access-Control-Allow-Origin: *\r\n")
+    client.write("Access-Control-Allow-Headers: apikey, authorization, accept, content-type\r\n")
+    client.write("Access-Control-Allow-Methods: GET, OPTIONS\r\n")
+    client.write("Connection: close\r\n\r\n")
+    client.write(body)
+  end
+end
+
+if __FILE__ == $0
+  MockPostgrest.new(ARGV[0] || File.join(Dir.pwd, '_data', 'events.json')).run
+end
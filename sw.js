@@ -0,0 +1,112 @@
+---
+layout: null
+---
+// Service worker - keeps the site usable without a connection
+// Precaches the shell and every page from the last build (the schedule is baked
+// into the pages), then serves the site's own files network-first, so a deploy
+// never runs old scripts against new pages, and third-party files from the cache.
+// Built by Jekyll, so each build gets a fresh cache and old ones are dropped.
+const CACHE_PREFIX = 'pgh-food-trucks-';
+const CACHE_NAME = `${CACHE_PREFIX}{{ site.time | date: '%Y%m%d%H%M%S' }}`;
+const HOME_URL = {{ '/' | relative_url | jsonify }};
+
+const PRECACHE_URLS = [
+  HOME_URL,
+  {{ '/trucks/' | relative_url | jsonify }},
+  {{ '/venues/' | relative_url | jsonify }},
+  {{ '/assets/css/main.css' | relative_url | jsonify }},
+  {{ '/assets/images/pin.png' | relative_url | jsonify }},
+  {{ '/manifest.webmanifest' | relative_url | jsonify }},
+  {% for file in site.static_files %}{% if file.path contains '/assets/js/' %}{{ file.path | relative_url | jsonify }},
+  {% endif %}{% endfor %}{% for truck in site.trucks %}{{ truck.url | relative_url | jsonify }},
+  {% endfor %}{% for venue in site.venues %}{{ venue.url | relative_url | jsonify }},
+  {% endfor %}
+];
+
+// Third-party files worth keeping offline: the Leaflet fallback and the web font
+const RUNTIME_CACHE_HOSTS = ['unpkg.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => Promise.all(
+      // One missing page shouldn't stop the rest from being cached
+      PRECACHE_URLS.map(url => cache.add(url).catch(error => {
+        console.warn(`Service worker could not precache ${url}:`, error);
+      }))
+    )).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(
+        names
+          .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+          .map(name => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+  
+  const url = new URL(request.url);
+  
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, HOME_URL));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  } else if (RUNTIME_CACHE_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request));
+  }
+  // Anything else (Google Maps, map tiles, Supabase) goes straight to the network
+});
+
+// Reminder notifications (reminders.js) open their event (/#event=<id>),
+// reusing a tab that already has the page open
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || HOME_URL, self.location.origin).href;
+  const page = url.split('#')[0];
+  
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      const existing = windows.find(client => client.url.split('#')[0] === page);
+      if (!existing) {
+        return self.clients.openWindow(url);
+      }
+      // Only a tab this worker controls can be navigated; the others are just focused
+      return existing.focus().then(client => client.navigate(url)).catch(() => existing);
+    })
+  );
+});
+
+// The freshest copy when online, the last built one when not. Pages that were
+// never cached fall back to the home page (fallbackUrl).
+function networkFirst(request, fallbackUrl = null) {
+  return fetch(request)
+    .then(response => {
+      if (response.ok) {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+      }
+      return response;
+    })
+    .catch(() => caches.match(request, { ignoreSearch: true })
+      .then(cached => cached || (fallbackUrl ? caches.match(fallbackUrl) : Promise.resolve()))
+      .then(response => response || Response.error()));
+}
+
+function cacheFirst(request) {
+  return caches.match(request).then(cached => cached || fetch(request).then(response => {
+    // Opaque (no-cors) responses can't be checked, but are still worth keeping
+    if (response.ok || response.type === 'opaque') {
+      const copy = response.clone();
+      caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+    }
+    return response;
+  }));
+}
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+// Stops a mile apart on one street (calculateDistance is main.js's), so distances are easy to follow
+const { get } = loadScripts(['safe-html.js', 'event-store.js', 'crawl-planner.js'], {
+  document: { addEventListener() {} },
+  localStorage: { getItem: () => null, setItem() {} },
+  calculateDistance: (lat1, lng1, lat2, lng2) => Math.abs(lng1 - lng2)
+});
+const CrawlPlanner = get('CrawlPlanner');
+
+const at = time => `2025-06-07T${time}:00-04:00`;
+const EVENTS = [
+  { id: 'a', truck_name: 'A', venue: 'West', lat: 0, lng: 0, start_ts: at('17:00'), end_ts: at('21:00') },
+  { id: 'b', truck_name: 'B', venue: 'East', lat: 0, lng: 2, start_ts: at('17:00'), end_ts: at('21:00') },
+  { id: 'c', truck_name: 'C', venue: 'Middle', lat: 0, lng: 1, start_ts: at('17:00'), end_ts: at('21:00') }
+];
+const START = Date.parse(at('17:00'));
+
+// The plan's stops as ids, in an array from this realm rather than the scripts'
+const ids = plan => plan.stops.map(stop => stop.event.id).join(' ');
+
+function createPlanner(events) {
+  const store = {
+    get: id => events.find(event => event.id === id),
+    subscribe() {}
+  };
+  const planner = new CrawlPlanner(store, 'test.crawl', null);
+  planner.eventIds = events.map(event => event.id);
+  return planner;
+}
+
+test('plan visits stops in the shortest order that reaches each in time', () => {
+  const plan = CrawlPlanner.plan(EVENTS, { start: START });
+
+  assert.equal(ids(plan), 'a c b');
+  assert.equal(plan.miles, 2);
+  assert.equal(plan.late, 0);
+});
+
+test('follow works out the same stops as plan for the planned order', () => {
+  const plan = CrawlPlanner.plan(EVENTS, { start: START });
+  const followed = CrawlPlanner.follow(plan.stops.map(stop => stop.event), { start: START });
+
+  assert.deepEqual(JSON.parse(JSON.stringify(followed)), JSON.parse(JSON.stringify(plan)));
+});
+
+test('getPlan keeps the planned order within a window and replans after it', (t) => {
+  const planner = createPlanner(EVENTS);
+  const plan = t.mock.method(CrawlPlanner, 'plan');
+
+  const first = planner.getPlan(START);
+  const later = planner.getPlan(START + 60 * 1000);
+  assert.equal(plan.mock.callCount(), 1);
+  assert.equal(ids(later), ids(first));
+  assert.equal(later.stops[0].arrive, START + 60 * 1000);
+
+  planner.getPlan(START + CrawlPlanner.REPLAN_MS);
+  assert.equal(plan.mock.callCount(), 2);
+});
+
+test('getPlan replans when the stops, their times or the origin change', (t) => {
+  const events = EVENTS.map(event => Object.assign({}, event));
+  const planner = createPlanner(events);
+  const plan = t.mock.method(CrawlPlanner, 'plan');
+
+  planner.getPlan(START);
+  planner.eventIds = ['a', 'b'];
+  planner.getPlan(START);
+  events[0].start_ts = at('18:00');
+  planner.getPlan(START);
+  planner.origin = { lat: 0, lng: 3, label: 'Home' };
+  planner.getPlan(START);
+  assert.equal(plan.mock.callCount(), 4);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { get } = loadScripts(['safe-html.js', 'event-store.js', 'event-calendar.js'], {
+  document: { addEventListener() {} }
+});
+const EventCalendar = get('EventCalendar');
+const EventStore = get('EventStore');
+
+const event = sourceUrl => EventStore.normalize({
+  id: 'abc',
+  truck_name: 'Sinkers and Suds',
+  venue: 'South Side Works',
+  start_ts: '2025-09-26T22:00:00+00:00',
+  source_url: sourceUrl
+});
+const urlLines = sourceUrl => EventCalendar.buildEvent(event(sourceUrl)).filter(line => line.startsWith('URL:'));
+
+test('the URL line carries http(s) source links', () => {
+  assert.deepEqual([...urlLines('https://www.instagram.com/p/abc/')], ['URL:https://www.instagram.com/p/abc/']);
+});
+
+test('the URL line is left out for script, data and protocol-relative links', () => {
+  ['javascript:alert(1)', 'data:text/html,hi', '//evil.example/x', null].forEach(url => {
+    assert.equal(urlLines(url).length, 0, String(url));
+  });
+});
+
+test('a source link cannot add lines to the event', () => {
+  const lines = EventCalendar.buildEvent(event('https://example.com/a\r\nATTENDEE:mailto:x@example.com'));
+
+  assert.equal(lines.some(line => /[\r\n]/.test(line)), false);
+  assert.equal(lines.filter(line => line.startsWith('ATTENDEE')).length, 0);
+});
+
+test('text values escape every kind of line break, a bare \\r included', () => {
+  assert.equal(EventCalendar.escapeText('a\rb\r\nc\nd'), 'a\\nb\\nc\\nd');
+
+  const lines = EventCalendar.buildEvent(Object.assign(event('https://a.example/\rATTENDEE:mailto:x@example.com'), {
+    venue: 'South Side Works\rATTENDEE:mailto:y@example.com'
+  }));
+  assert.equal(lines.some(line => /[\r\n]/.test(line)), false);
+  assert.equal(lines.filter(line => line.startsWith('ATTENDEE')).length, 0);
+});
+
+test('the description names the source only when it is a safe link', () => {
+  const description = sourceUrl => EventCalendar.buildEvent(event(sourceUrl)).find(line => line.startsWith('DESCRIPTION:'));
+
+  assert.equal(description('https://www.instagram.com/p/abc/'), 'DESCRIPTION:Sinkers and Suds at South Side Works\\nSource: https://www.instagram.com/p/abc/');
+  assert.equal(description('javascript:alert(1)'), 'DESCRIPTION:Sinkers and Suds at South Side Works');
+});
+
+test('an unreadable last_seen_at stamps the export time', () => {
+  const stamp = Date.parse('2025-10-01T12:00:00Z');
+  const dtstamp = lastSeenAt => EventCalendar.buildEvent(Object.assign(event(null), { last_seen_at: lastSeenAt }), stamp)
+    .find(line => line.startsWith('DTSTAMP:'));
+
+  assert.equal(dtstamp('not a date'), 'DTSTAMP:20251001T120000Z');
+  assert.equal(dtstamp(null), 'DTSTAMP:20251001T120000Z');
+  assert.equal(dtstamp('2025-09-25T08:30:00Z'), 'DTSTAMP:20250925T083000Z');
+});
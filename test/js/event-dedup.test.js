@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadData } = require('./helpers/load-scripts');
+
+// Just the two scripts: the dedup pass mustn't need anything from main.js
+const { get } = loadScripts(['event-dedup.js', 'event-store.js']);
+const EventDedup = get('EventDedup');
+const EventStore = get('EventStore');
+
+const merge = raws => EventDedup.merge(raws.map(raw => EventStore.normalize(raw)));
+
+// The request's example: one evening's stop, posted twice a few hundred meters apart
+const SOUTH_SIDE = {
+  id: 'south-side-works',
+  truck_name: 'Sinkers and Suds',
+  venue: 'South Side Works',
+  start_ts: '2025-09-26T22:00:00+00:00',
+  end_ts: '2025-09-27T02:00:00+00:00',
+  lat: 40.4280586,
+  lng: -79.9652786,
+  source_url: 'https://www.instagram.com/p/first/',
+  confidence: 0.8
+};
+const report = changes => Object.assign({}, SOUTH_SIDE, changes);
+const SOUTHSIDE = report({
+  id: 'southside-works',
+  venue: 'SouthSide Works',
+  lng: -79.9617786,
+  source_url: 'https://www.instagram.com/p/second/',
+  confidence: 0.95
+});
+
+test('the checked-in events merge from 46 reports to 38', () => {
+  const raws = loadData('events');
+  const events = merge(raws);
+
+  assert.equal(raws.length, 46);
+  assert.equal(events.length, 38);
+  assert.equal(events.reduce((count, event) => count + event.duplicate_ids.length, 0), 8);
+
+  const brooktree = events.find(event => event.venue === '7500 Brooktree Rd');
+  assert.equal(brooktree.also_reported.length, 1);
+  assert.equal(brooktree.also_reported[0].venue, '7500 Brooktree Rd Wexford');
+});
+
+test('the same stop posted under two spellings is one event, kept from the surest report', () => {
+  const events = merge([SOUTH_SIDE, SOUTHSIDE]);
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].id, 'southside-works');
+  assert.equal(events[0].duplicate_ids.join(), 'south-side-works');
+  assert.equal(events[0].also_reported[0].source_url, 'https://www.instagram.com/p/first/');
+});
+
+test('near misses stay separate events', () => {
+  [
+    ['the next evening', report({ id: 'next', start_ts: '2025-09-27T22:00:00+00:00', end_ts: '2025-09-28T02:00:00+00:00' })],
+    ['another truck', report({ id: 'other-truck', truck_name: 'Blue Sparrow' })],
+    ['the same name 0.6 miles off', report({ id: 'far', lng: -79.9537786 })],
+    ['another venue a block away', report({ id: 'block', venue: 'Hofbräuhaus', lng: -79.9632786 })],
+    ['another venue with no coordinates', report({ id: 'unplaced', venue: 'Carson Street', lat: 0, lng: 0 })]
+  ].forEach(([description, other]) => {
+    assert.equal(merge([SOUTH_SIDE, other]).length, 2, description);
+  });
+});
+
+test('reports without coordinates merge on the venue name alone', () => {
+  const events = merge([SOUTH_SIDE, report({ id: 'unplaced', venue: 'Southside Works', lat: null, lng: null, confidence: 0.5 })]);
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].id, 'south-side-works');
+});
+
+test('distance is in miles', () => {
+  const miles = EventDedup.distance({ lat: 40.4406, lng: -79.9959 }, { lat: 40.4280586, lng: -79.9652786 });
+
+  assert.ok(miles > 1.7 && miles < 1.9, String(miles));
+});
@@ -0,0 +1,170 @@
+// A map adapter with the shape map-adapters.js describes, that draws nothing and
+// keeps what it was asked to draw, for testing the code that renders maps.
+class FakeMapAdapter {
+  constructor(name = 'fake') {
+    this.name = name;
+    this.maps = [];
+  }
+
+  createMap(element, options = {}) {
+    const map = new FakeMap(element, options);
+    this.maps.push(map);
+    return map;
+  }
+}
+
+class FakeMap {
+  constructor(element, options) {
+    this.element = element;
+    this.center = options.center;
+    this.zoom = options.zoom || 12;
+    this.bounds = null;
+    // Every focus() call's position, in order
+    this.focused = [];
+    this.handlers = { idle: new Set() };
+    this.markers = [];
+    this.infoWindows = [];
+    this.circles = [];
+    this.polylines = [];
+    this.heatmaps = [];
+  }
+
+  focus(position, zoom) {
+    this.center = position;
+    if (zoom !== undefined) {
+      this.zoom = zoom;
+    }
+    this.focused.push(position);
+  }
+
+  fitBounds(positions) {
+    this.bounds = positions;
+  }
+
+  getZoom() {
+    return this.zoom;
+  }
+
+  setZoom(zoom) {
+    this.zoom = zoom;
+  }
+
+  getCenter() {
+    return this.center;
+  }
+
+  on(type, handler) {
+    this.handlers[type].add(handler);
+    return { remove: () => this.handlers[type].delete(handler) };
+  }
+
+  addMarker(options) {
+    const marker = new FakeMarker(this, options);
+    this.markers.push(marker);
+    return marker;
+  }
+
+  createInfoWindow() {
+    const infoWindow = new FakeInfoWindow();
+    this.infoWindows.push(infoWindow);
+    return infoWindow;
+  }
+
+  addCircle(options) {
+    const circle = new FakeShape(this.circles, options);
+    circle.setCenter = center => { circle.options.center = center; };
+    circle.setRadius = radius => { circle.options.radius = radius; };
+    circle.getBounds = () => null;
+    return circle;
+  }
+
+  addPolyline(options) {
+    const polyline = new FakeShape(this.polylines, options);
+    polyline.setPath = path => { polyline.options.path = path; };
+    return polyline;
+  }
+
+  addHeatmap(options) {
+    const heatmap = new FakeShape(this.heatmaps, options);
+    heatmap.setPoints = points => { heatmap.options.points = points; };
+    heatmap.setVisible = visible => { heatmap.visible = visible; };
+    return heatmap;
+  }
+}
+
+class FakeMarker {
+  constructor(map, options) {
+    this.map = map;
+    this.position = options.position;
+    this.title = options.title;
+    this.icon = options.icon;
+    this.label = options.label || null;
+    this.zIndex = options.zIndex || 0;
+    this.opacity = 1;
+    this.visible = true;
+    this.attached = true;
+    this.removed = false;
+    this.handlers = { click: new Set() };
+  }
+
+  getPosition() { return this.position; }
+  setPosition(position) { this.position = position; }
+  getVisible() { return this.visible; }
+  setVisible(visible) { this.visible = visible; }
+  attach() { this.attached = true; }
+  detach() { this.attached = false; }
+  isAttached() { return this.attached; }
+  setLabel(label) { this.label = label; }
+  setTitle(title) { this.title = title; }
+  setIcon(icon) { this.icon = icon; }
+  setOpacity(opacity) { this.opacity = opacity; }
+  setZIndex(zIndex) { this.zIndex = zIndex; }
+
+  on(type, handler) {
+    this.handlers[type].add(handler);
+    return { remove: () => this.handlers[type].delete(handler) };
+  }
+
+  // What a visitor's click would do
+  click() {
+    this.handlers.click.forEach(handler => handler());
+  }
+
+  remove() {
+    this.removed = true;
+    this.map.markers = this.map.markers.filter(marker => marker !== this);
+  }
+}
+
+class FakeInfoWindow {
+  constructor() {
+    this.content = '';
+    this.marker = null;
+  }
+
+  // Kept as markup, the way the real adapters put it on the page
+  setContent(content) { this.content = String(content); }
+  getContent() { return this.content; }
+  open(marker) { this.marker = marker; }
+  close() { this.marker = null; }
+  isOpen() { return this.marker !== null; }
+}
+
+// Circles, polylines and heatmaps: their options, and remove()
+class FakeShape {
+  constructor(list, options) {
+    this.list = list;
+    this.options = Object.assign({}, options);
+    this.visible = true;
+    list.push(this);
+  }
+
+  remove() {
+    const index = this.list.indexOf(this);
+    if (index !== -1) {
+      this.list.splice(index, 1);
+    }
+  }
+}
+
+module.exports = { FakeMapAdapter };
@@ -0,0 +1,41 @@
+// Loads the site's browser scripts (assets/js - plain scripts sharing globals,
+// in the order _layouts/default.html includes them) into a fresh context, so
+// their classes and functions can be tested without a page.
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const SCRIPTS_DIR = path.join(__dirname, '..', '..', '..', 'assets', 'js');
+const DATA_DIR = path.join(__dirname, '..', '..', '..', '_data');
+
+// globals: what the scripts expect from the page (window.location, siteConfig, ...).
+// The context is the scripts' window. Returns { context, get(name) } - get reads
+// any global, including classes, which don't become window properties.
+function loadScripts(files, globals = {}) {
+  const context = vm.createContext(Object.assign({
+    console: console,
+    URL: URL,
+    URLSearchParams: URLSearchParams,
+    Intl: Intl,
+    setTimeout: setTimeout,
+    clearTimeout: clearTimeout,
+    location: { href: 'https://pghfoodtrucks.example/' }
+  }, globals));
+  context.window = context;
+
+  files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(SCRIPTS_DIR, file), 'utf8'), context, { filename: file });
+  });
+
+  return {
+    context: context,
+    get: name => vm.runInContext(name, context)
+  };
+}
+
+// A checked-in data file (_data/<name>.json)
+function loadData(name) {
+  return JSON.parse(fs.readFileSync(path.join(DATA_DIR, `${name}.json`), 'utf8'));
+}
+
+module.exports = { loadScripts, loadData };
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+// Timers only record their delays, so retries can be checked without waiting
+const delays = [];
+const { get } = loadScripts(['event-dedup.js', 'event-store.js', 'live-refresh.js'], {
+  document: { hidden: false, addEventListener() {} },
+  setTimeout: (callback, delay) => delays.push(delay),
+  clearTimeout() {},
+  // Failed refreshes warn; keep that out of the test output
+  console: Object.assign(Object.create(console), { warn() {} })
+});
+const LiveRefresh = get('LiveRefresh');
+const EventStore = get('EventStore');
+
+const at = time => `2025-06-07T${time}:00-04:00`;
+const BUILD = [
+  { id: 'same', truck_name: 'A', venue: 'Market Square', start_ts: at('17:00'), end_ts: at('21:00') },
+  { id: 'moved', truck_name: 'B', venue: 'South Side Works', start_ts: at('17:00'), end_ts: at('21:00') },
+  { id: 'dropped', truck_name: 'C', venue: 'Schenley Plaza', start_ts: at('11:00'), end_ts: at('14:00') }
+];
+const BUILT_AT = Date.parse(at('09:00'));
+
+// Answers each request with the next response: { status, body }, or an Error for a
+// request that never arrives. requests keeps what was asked for.
+function mockPostgrest(responses) {
+  const requests = [];
+  const fetch = async (url, options) => {
+    requests.push({ url: url, options: options });
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+
+    const status = next.status || 200;
+    return { ok: status < 300, status: status, json: async () => next.body };
+  };
+  return { fetch, requests };
+}
+
+function createRefresh(responses) {
+  const store = new EventStore(BUILD);
+  const postgrest = mockPostgrest(responses);
+  const refresh = new LiveRefresh(store, {
+    url: 'https://example.supabase.co/',
+    anonKey: 'anon',
+    intervalMs: 5 * 60 * 1000,
+    staleMs: 60 * 60 * 1000,
+    builtAt: new Date(BUILT_AT).toISOString(),
+    buildEvents: BUILD,
+    fetch: postgrest.fetch
+  });
+  return { refresh, store, requests: postgrest.requests };
+}
+
+test('a refresh marks events added, updated and removed against the build', async () => {
+  const { refresh, store, requests } = createRefresh([{
+    body: [
+      // The API writes times in UTC; the same instants aren't a change
+      Object.assign({}, BUILD[0], { start_ts: '2025-06-07T21:00:00+00:00', end_ts: '2025-06-08T01:00:00+00:00' }),
+      Object.assign({}, BUILD[1], { venue: 'SouthSide Works' }),
+      { id: 'new', truck_name: 'D', venue: 'Hazelwood Green', start_ts: at('18:00') }
+    ]
+  }]);
+
+  assert.equal(await refresh.refresh(), true);
+  assert.equal(requests[0].url, 'https://example.supabase.co/rest/v1/public_events?select=*&order=start_ts.asc');
+  assert.equal(requests[0].options.headers.apikey, 'anon');
+
+  assert.equal(refresh.getChange('same'), null);
+  assert.equal(refresh.getChange('moved'), 'updated');
+  assert.equal(refresh.getChange('new'), 'added');
+  assert.equal(refresh.getChange('dropped'), 'removed');
+
+  // Removed events stay in the store, so their cards don't vanish
+  assert.equal(store.get('moved').venue, 'SouthSide Works');
+  assert.ok(store.get('new'));
+  assert.ok(store.get('dropped'));
+});
+
+test('hasChanged compares times as instants and venues without surrounding spaces', () => {
+  const { refresh } = createRefresh([]);
+  const event = BUILD[0];
+
+  assert.equal(refresh.hasChanged(event, Object.assign({}, event, { venue: ' Market Square ' })), false);
+  assert.equal(refresh.hasChanged(event, Object.assign({}, event, { start_ts: '2025-06-07T21:00:00Z' })), false);
+  assert.equal(refresh.hasChanged(Object.assign({}, event, { end_ts: null }), Object.assign({}, event, { end_ts: undefined })), false);
+  assert.equal(refresh.hasChanged(event, Object.assign({}, event, { start_ts: at('18:00') })), true);
+  assert.equal(refresh.hasChanged(event, Object.assign({}, event, { end_ts: null })), true);
+});
+
+test('failed refreshes back off, doubling up to the cap, and a good one resets them', async () => {
+  const { refresh } = createRefresh([
+    { status: 503 },
+    new TypeError('Failed to fetch'),
+    { body: [] },
+    { body: BUILD }
+  ]);
+  refresh.started = true;
+  const nextDelay = () => delays[delays.length - 1];
+  const within = (delay, base) => delay >= base && delay <= base * 1.2;
+
+  assert.equal(await refresh.refresh(), false);
+  assert.ok(within(nextDelay(), LiveRefresh.MIN_RETRY_MS), String(nextDelay()));
+  assert.equal(await refresh.refresh(), false);
+  assert.ok(within(nextDelay(), 2 * LiveRefresh.MIN_RETRY_MS), String(nextDelay()));
+  // An empty schedule counts as a failure too
+  assert.equal(await refresh.refresh(), false);
+  assert.equal(refresh.failures, 3);
+  assert.match(refresh.lastError.message, /no events/);
+
+  assert.equal(await refresh.refresh(), true);
+  assert.equal(refresh.failures, 0);
+  assert.equal(refresh.lastError, null);
+  assert.equal(nextDelay(), refresh.intervalMs);
+
+  refresh.failures = 20;
+  assert.ok(within(refresh.getRetryDelay(), LiveRefresh.MAX_RETRY_MS));
+  refresh.stop();
+});
+
+test('the data is stale once nothing has arrived for stale_minutes', async () => {
+  const { refresh } = createRefresh([new TypeError('Failed to fetch'), { body: BUILD }]);
+
+  assert.equal(refresh.isStale(BUILT_AT + refresh.staleMs), false);
+  assert.equal(refresh.isStale(BUILT_AT + refresh.staleMs + 1), true);
+
+  // A failed refresh doesn't make the data current; a good one does
+  await refresh.refresh();
+  assert.equal(refresh.isStale(BUILT_AT + refresh.staleMs + 1), true);
+  await refresh.refresh();
+  assert.equal(refresh.isStale(), false);
+  assert.equal(refresh.isStale(Date.now() + refresh.staleMs + 1), true);
+});
@@ -0,0 +1,241 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadData } = require('./helpers/load-scripts');
+const { FakeMapAdapter } = require('./helpers/fake-map-adapter');
+
+const TRUCK = 'Sinkers and Suds';
+
+// The page maps render once the provider resolves; let that finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+// Just enough of a page for the event and truck maps: elements by id, and
+// renderHtml's <template>
+function createDocument(ids) {
+  const elements = new Map(ids.map(id => [id, {
+    id: id,
+    innerHTML: '',
+    classList: new Set(),
+    replaceChildren(content) { this.innerHTML = content; }
+  }]));
+
+  return {
+    elements: elements,
+    getElementById: id => elements.get(id) || null,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener() {},
+    createElement: () => ({
+      innerHTML: '',
+      get content() { return this.innerHTML; }
+    })
+  };
+}
+
+// The page scripts, in _layouts/default.html's order, with the provider
+// selection replaced by adapters (resolveMapAdapter is a page global, so its
+// callers pick up the stand-in). Each call to resolve gives the next adapter.
+function loadPage(adapters) {
+  const document = createDocument(['event-map', 'truck-map']);
+  const { context, get } = loadScripts([
+    'safe-html.js',
+    'event-dedup.js',
+    'event-store.js',
+    'event-time.js',
+    'map-adapters.js',
+    'truck-schedule.js',
+    'main.js'
+  ], {
+    document: document,
+    siteData: { events: loadData('events') },
+    siteConfig: {}
+  });
+
+  const queue = adapters.slice();
+  context.resolveMapAdapter = () => Promise.resolve(queue.length > 1 ? queue.shift() : queue[0]);
+  return { context, get, document };
+}
+
+// The whole app: every page script, as _layouts/default.html loads them, on a page
+// with just the elements given. resolved() counts the map provider lookups.
+function loadApp(ids, adapter) {
+  const document = createDocument(ids);
+  const storage = () => {
+    const items = new Map();
+    return { getItem: key => items.has(key) ? items.get(key) : null, setItem: (key, value) => items.set(key, String(value)), removeItem: key => items.delete(key) };
+  };
+  const { context, get } = loadScripts([
+    'safe-html.js', 'event-dedup.js', 'event-store.js', 'event-time.js', 'event-calendar.js',
+    'url-state.js', 'follow-list.js', 'visit-history.js', 'offline.js', 'reminders.js',
+    'map-adapters.js', 'marker-clusterer.js', 'calendar-view.js', 'map-layers.js',
+    'crawl-planner.js', 'live-refresh.js', 'main.js'
+  ], {
+    document: document,
+    location: { href: 'https://pghfoodtrucks.example/', pathname: '/', search: '', hash: '' },
+    history: { replaceState() {}, pushState() {} },
+    navigator: {},
+    localStorage: storage(),
+    sessionStorage: storage(),
+    addEventListener() {},
+    setInterval: () => 0,
+    clearInterval() {},
+    siteData: { events: loadData('events') },
+    siteConfig: {}
+  });
+
+  let resolved = 0;
+  context.resolveMapAdapter = () => {
+    resolved++;
+    return Promise.resolve(adapter);
+  };
+  return { context, get, document, resolved: () => resolved };
+}
+
+test('initEventMap draws the event with the given adapter', async () => {
+  const adapter = new FakeMapAdapter();
+  const { get, document } = loadPage([adapter]);
+  const event = loadData('events').find(event => event.truck_name === TRUCK);
+
+  get('initEventMap')('event-map', event);
+  await settle();
+
+  const [map] = adapter.maps;
+  assert.equal(map.element, document.elements.get('event-map'));
+  assert.equal(map.markers.length, 1);
+  assert.equal(map.markers[0].title, `${TRUCK} at ${event.venue}`);
+  assert.match(map.infoWindows[0].getContent(), new RegExp(`<h3>${TRUCK}</h3>`));
+  assert.equal(map.infoWindows[0].marker, map.markers[0]);
+});
+
+test('initTruckMap draws the stops and the route, and follows the schedule', async () => {
+  const adapter = new FakeMapAdapter();
+  const { get } = loadPage([adapter]);
+
+  get('initTruckMap')('truck-map', TRUCK);
+  await settle();
+
+  const [map] = adapter.maps;
+  const stops = get('getEventStore')().query({ truckName: TRUCK });
+  assert.equal(map.markers.length, stops.length);
+  assert.equal(map.bounds.length, stops.length);
+  assert.equal(map.polylines.length, 1);
+  assert.match(map.infoWindows[0].getContent(), />View on Instagram<\/a>/);
+
+  // The schedule starts on its last stop (they've all ended), then a click moves it
+  const focused = map.focused.length;
+  map.markers[0].click();
+  assert.equal(map.focused.length, focused + 1);
+  assert.equal(map.infoWindows[0].isOpen(), true);
+});
+
+test('a provider fallback redraws the truck map and leaves the old one behind', async () => {
+  const google = new FakeMapAdapter('google');
+  const leaflet = new FakeMapAdapter('leaflet');
+  const { context, get } = loadPage([google, leaflet]);
+  context.console = Object.assign(Object.create(console), { error() {} });
+
+  get('initTruckMap')('truck-map', TRUCK);
+  await settle();
+  context.gm_authFailure();
+  await settle();
+
+  const [oldMap] = google.maps;
+  const [newMap] = leaflet.maps;
+  assert.ok(newMap, 'the map is drawn again with the fallback');
+
+  const oldFocused = oldMap.focused.length;
+  newMap.markers[0].click();
+  assert.equal(oldMap.focused.length, oldFocused, 'the old map no longer follows the schedule');
+  assert.equal(newMap.focused.length > 0, true);
+});
+
+test('page maps show the error state when no provider loads or drawing fails', async () => {
+  const { context, get, document } = loadPage([null]);
+  const event = loadData('events').find(event => event.lat);
+
+  get('initEventMap')('event-map', event);
+  await settle();
+  assert.ok(document.elements.get('event-map').classList.has('map-unavailable'));
+  assert.match(document.elements.get('event-map').innerHTML, /The map can't load/);
+
+  const broken = { name: 'broken', createMap() { throw new Error('no canvas'); } };
+  context.resolveMapAdapter = () => Promise.resolve(broken);
+  context.console = Object.assign(Object.create(console), { error() {} });
+
+  get('initTruckMap')('truck-map', TRUCK);
+  await settle();
+  assert.ok(document.elements.get('truck-map').classList.has('map-unavailable'));
+});
+
+test('pages without the main map don\'t load a map provider for the app', async () => {
+  const { get, resolved } = loadApp([], null);
+
+  get('initMapAndHandlers')();
+  await settle();
+  assert.equal(resolved(), 0);
+});
+
+test('a live refresh updates markers in place and leaves the map where the visitor put it', async () => {
+  const adapter = new FakeMapAdapter();
+  const { get, document } = loadApp(['main-map'], adapter);
+  // A card per event, for the filters to match; badges and labels go nowhere
+  const part = () => ({ prepend() {}, appendChild() {}, remove() {}, classList: { toggle() {}, contains: () => false } });
+  const cards = loadData('events').map(event => Object.assign(part(), {
+    dataset: { id: String(event.id) },
+    querySelector: part
+  }));
+  document.querySelectorAll = selector => (selector === '.event-card[data-id]' ? cards : []);
+  const app = get('initMapAndHandlers')();
+  await settle();
+
+  const [map] = adapter.maps;
+  const markers = map.markers.slice();
+  app.filters.showEnded = true;
+  app.applyFilters();
+
+  // The visitor zooms in and opens a marker's details
+  map.focus({ lat: 40.45, lng: -79.98 }, 16);
+  map.bounds = null;
+  map.infoWindows[0].open(markers[0]);
+
+  // A refresh that brings nothing new
+  const events = loadData('events');
+  app.store.setEvents(events);
+  assert.equal(map.markers.length, markers.length);
+  assert.ok(map.markers.every((marker, index) => marker === markers[index]));
+  assert.equal(map.bounds, null);
+  assert.equal(map.zoom, 16);
+  assert.equal(map.infoWindows[0].isOpen(), true);
+
+  // One that renames the open marker's truck
+  const [event] = app.markerEvents[0];
+  app.store.setEvents(events.map(raw => (raw.id === event.id ? Object.assign({}, raw, { truck_name: 'Renamed Truck' }) : raw)));
+  assert.equal(map.markers[0], markers[0]);
+  assert.equal(map.infoWindows[0].isOpen(), true);
+  assert.match(map.infoWindows[0].getContent(), /Renamed Truck/);
+  assert.equal(map.bounds, null);
+});
+
+test('date ranges are days in the site timezone, not the visitor\'s', () => {
+  const { get } = loadPage([null]);
+  const getDateRange = (value, now) => get('FoodTruckApp').prototype.getDateRange.call({}, value, now);
+  const day = timestamp => get('getEventTimeFormatter')().getParts(timestamp).dayNumber;
+
+  // 10 PM on Friday, Sep 26 in Pittsburgh - already Saturday in UTC and further east
+  const friday = new Date('2025-09-27T02:00:00Z');
+
+  const today = getDateRange('today', friday);
+  assert.equal(today.start, day('2025-09-26T12:00:00-04:00'));
+  assert.equal(today.end - today.start, 1);
+
+  const weekend = getDateRange('weekend', friday);
+  assert.equal(weekend.start, day('2025-09-27T12:00:00-04:00'));
+  assert.equal(weekend.end, day('2025-09-29T12:00:00-04:00'));
+
+  // On a Sunday the weekend is what's left of it
+  const sunday = getDateRange('weekend', new Date('2025-09-28T15:00:00Z'));
+  assert.equal(sunday.start, day('2025-09-28T12:00:00-04:00'));
+  assert.equal(sunday.end - sunday.start, 1);
+
+  assert.equal(getDateRange('7', friday).end - today.start, 7);
+  assert.equal(getDateRange('all', friday), null);
+});
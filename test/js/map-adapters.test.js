@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+// Just enough of Leaflet to build markers: divIcon hands back its options
+const L = {
+  divIcon: options => options,
+  Icon: { Default: class {} },
+  marker: (position, options) => ({ position: position, options: options, addTo() {} })
+};
+
+function loadAdapters() {
+  return loadScripts(['safe-html.js', 'map-adapters.js'], { L: L });
+}
+
+test('Leaflet pins escape their label text and icon URL', () => {
+  const { get } = loadAdapters();
+  const LeafletMarkerHandle = get('LeafletMarkerHandle');
+
+  const handle = new LeafletMarkerHandle({ map: {} }, {
+    position: { lat: 40.44, lng: -79.99 },
+    icon: { url: '/pin.png" onerror="alert(1)', size: [32, 32], anchor: [16, 32], labelOrigin: [16, 12] },
+    label: { text: '<img src=x onerror=alert(1)>', fontSize: '11px' }
+  });
+  const markup = handle.marker.options.icon.html;
+
+  assert.doesNotMatch(markup, /<img src=x/);
+  assert.doesNotMatch(markup, /" onerror=/);
+  assert.match(markup, /src="\/pin\.png&quot; onerror=&quot;alert\(1\)"/);
+  assert.match(markup, /&lt;img src=x onerror=alert\(1\)&gt;<\/span>$/);
+});
+
+test('Leaflet dots escape their color', () => {
+  const { get } = loadAdapters();
+  const LeafletMarkerHandle = get('LeafletMarkerHandle');
+
+  const handle = new LeafletMarkerHandle({ map: {} }, {
+    position: { lat: 40.44, lng: -79.99 },
+    icon: { dot: { color: 'red"><script>alert(1)</script>', radius: 7 } }
+  });
+
+  assert.doesNotMatch(handle.marker.options.icon.html, /<script/);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+// Reminders, with a stand-in for the browser's Notification API
+function loadReminders(notification) {
+  const { get } = loadScripts(['safe-html.js', 'reminders.js'], {
+    document: { addEventListener() {} },
+    localStorage: { getItem: () => null, setItem() {} },
+    Notification: notification
+  });
+  const Reminders = get('Reminders');
+  return new Reminders({ get: () => null });
+}
+
+test('requestPermission works with the Promise form', async () => {
+  const reminders = loadReminders({
+    permission: 'default',
+    requestPermission: () => Promise.resolve('granted')
+  });
+
+  assert.equal(await reminders.requestPermission(), 'granted');
+});
+
+test('requestPermission works with the callback form of older Safari', async () => {
+  const reminders = loadReminders({
+    permission: 'default',
+    requestPermission(callback) {
+      setTimeout(() => callback('denied'));
+    }
+  });
+
+  assert.equal(await reminders.requestPermission(), 'denied');
+});
+
+test('requestPermission doesn\'t ask again once the visitor has answered', async () => {
+  const reminders = loadReminders({
+    permission: 'granted',
+    requestPermission: () => assert.fail('asked again')
+  });
+
+  assert.equal(await reminders.requestPermission(), 'granted');
+});
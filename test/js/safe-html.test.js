@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { get } = loadScripts(['safe-html.js']);
+const html = get('html');
+const escapeHtml = get('escapeHtml');
+const safeUrl = get('safeUrl');
+
+// Event fields as a hostile post might have them scraped
+const HOSTILE = {
+  venue: '<img src=x onerror="alert(1)">',
+  truck: `Bob's "Tacos" & <script>alert(1)</script>`,
+  attribute: '" onmouseover="alert(1)'
+};
+
+test('escapeHtml escapes every character that can open markup or end an attribute', () => {
+  assert.equal(escapeHtml(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+  assert.equal(escapeHtml(42), '42');
+});
+
+test('html escapes interpolated event data in text and attributes', () => {
+  const markup = String(html`<h3 title="${HOSTILE.attribute}">${HOSTILE.venue}</h3><p>${HOSTILE.truck}</p>`);
+
+  assert.equal(markup,
+    '<h3 title="&quot; onmouseover=&quot;alert(1)">&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</h3>' +
+    '<p>Bob&#39;s &quot;Tacos&quot; &amp; &lt;script&gt;alert(1)&lt;/script&gt;</p>');
+  assert.doesNotMatch(markup, /<script|<img/);
+});
+
+test('html keeps nested fragments and arrays of them, and drops null, undefined and false', () => {
+  const items = ['<b>', 'ok'].map(text => html`<li>${text}</li>`);
+  const markup = String(html`<ul>${items}</ul>${null}${undefined}${false}${html`<hr>`}`);
+
+  assert.equal(markup, '<ul><li>&lt;b&gt;</li><li>ok</li></ul><hr>');
+});
+
+test('safeUrl keeps http(s) links and resolves relative ones against the page', () => {
+  assert.equal(safeUrl('https://www.instagram.com/p/abc/'), 'https://www.instagram.com/p/abc/');
+  assert.equal(safeUrl('  http://example.com/a b  '), 'http://example.com/a%20b');
+  assert.equal(safeUrl('/events/123/'), 'https://pghfoodtrucks.example/events/123/');
+});
+
+test('safeUrl rejects script, data and other non-http schemes, however they are disguised', () => {
+  [
+    'javascript:alert(1)',
+    'JaVaScRiPt:alert(1)',
+    ' javascript:alert(1)',
+    '\u0001javascript:alert(1)',
+    'java\tscript:alert(1)',
+    'java\nscript:alert(1)',
+    'data:text/html,<script>alert(1)</script>',
+    'vbscript:msgbox(1)',
+    'file:///etc/passwd',
+    'mailto:someone@example.com'
+  ].forEach(url => {
+    assert.equal(safeUrl(url), null, url);
+  });
+});
+
+test('safeUrl rejects protocol-relative links', () => {
+  ['//evil.example/x', '\\\\evil.example', '/\\evil.example', '\\/evil.example', '/\t/evil.example', ' //evil.example'].forEach(url => {
+    assert.equal(safeUrl(url), null, url);
+  });
+});
+
+test('safeUrl rejects empty, unparseable and non-string values', () => {
+  ['', '   ', 'http://', null, undefined, 42, {}].forEach(url => {
+    assert.equal(safeUrl(url), null, String(url));
+  });
+});
+
+test('safeUrl output stays inside its attribute once interpolated', () => {
+  const url = safeUrl(`https://example.com/"><script>alert(1)</script>`);
+  const markup = String(html`<a href="${url}">Source</a>`);
+
+  assert.doesNotMatch(markup, /<script/);
+  assert.match(markup, /^<a href="https:\/\/example\.com\/[^"]*">Source<\/a>$/);
+});
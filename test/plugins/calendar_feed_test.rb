@@ -0,0 +1,56 @@
+require_relative 'test_helper'
+require_plugin 'safe_output'
+require_plugin 'calendar_feed'
+
+class CalendarFeedTest < Minitest::Test
+  EVENT = {
+    'id' => 'abc',
+    'truck_name' => 'Sinkers and Suds',
+    'venue' => 'South Side Works',
+    'start_ts' => '2025-09-26T22:00:00+00:00',
+    'source_url' => 'https://www.instagram.com/p/abc/'
+  }.freeze
+
+  def build(source_url)
+    Jekyll::CalendarFeed.build('Sinkers and Suds', [EVENT.merge('source_url' => source_url)], Time.utc(2025, 10, 1))
+  end
+
+  def url_lines(source_url)
+    build(source_url).split("\r\n").grep(/\AURL:/)
+  end
+
+  def test_url_line_carries_http_source_links
+    assert_equal ['URL:https://www.instagram.com/p/abc/'], url_lines('https://www.instagram.com/p/abc/')
+  end
+
+  def test_url_line_is_left_out_for_script_data_and_protocol_relative_links
+    ['javascript:alert(1)', 'data:text/html,hi', '//evil.example/x', nil].each do |url|
+      assert_empty url_lines(url), url.inspect
+    end
+  end
+
+  def test_source_link_cannot_add_lines_to_the_event
+    feed = build("https://example.com/a\r\nATTENDEE:mailto:x@example.com")
+
+    refute_match(/^ATTENDEE/, feed)
+    assert_includes feed, 'URL:https://example.com/a%0D%0AATTENDEE:mailto:x@example.com'
+  end
+
+  def test_text_values_escape_every_kind_of_line_break
+    assert_equal 'a\\nb\\nc\\nd', Jekyll::CalendarFeed.escape_text("a\rb\r\nc\nd")
+
+    feed = Jekyll::CalendarFeed.build('Sinkers and Suds', [
+      EVENT.merge('venue' => "South Side Works\rATTENDEE:mailto:y@example.com", 'source_url' => "https://a.example/\rATTENDEE:mailto:x@example.com")
+    ], Time.utc(2025, 10, 1))
+    refute_match(/\r(?!\n)/, feed)
+    refute_match(/^ATTENDEE/, feed)
+  end
+
+  def test_description_names_the_source_only_when_it_is_a_safe_link
+    # Unfolded, as calendar apps read it
+    description = ->(url) { build(url).gsub("\r\n ", '').split("\r\n").grep(/\ADESCRIPTION:/).first }
+
+    assert_equal 'DESCRIPTION:Sinkers and Suds at South Side Works\\nSource: https://www.instagram.com/p/abc/', description.call('https://www.instagram.com/p/abc/')
+    assert_equal 'DESCRIPTION:Sinkers and Suds at South Side Works', description.call('javascript:alert(1)')
+  end
+end
@@ -0,0 +1,73 @@
+require_relative 'test_helper'
+require_plugin 'calendar_feed'
+require_plugin 'event_dedup'
+
+# The same cases as test/js/event-dedup.test.js, so both sides merge alike
+class EventDedupTest < Minitest::Test
+  SOUTH_SIDE = {
+    'id' => 'south-side-works',
+    'truck_name' => 'Sinkers and Suds',
+    'venue' => 'South Side Works',
+    'start_ts' => '2025-09-26T22:00:00+00:00',
+    'end_ts' => '2025-09-27T02:00:00+00:00',
+    'lat' => 40.4280586,
+    'lng' => -79.9652786,
+    'source_url' => 'https://www.instagram.com/p/first/',
+    'confidence' => 0.8
+  }.freeze
+
+  SOUTHSIDE = SOUTH_SIDE.merge(
+    'id' => 'southside-works',
+    'venue' => 'SouthSide Works',
+    'lng' => -79.9617786,
+    'source_url' => 'https://www.instagram.com/p/second/',
+    'confidence' => 0.95
+  ).freeze
+
+  def test_checked_in_events_merge_from_46_reports_to_38
+    raws = JSON.parse(File.read(File.join(DATA_DIR, 'events.json')))
+    events = Jekyll::EventDedup.merge(raws)
+
+    assert_equal 46, raws.length
+    assert_equal 38, events.length
+    assert_equal 8, events.sum { |event| event.fetch('duplicate_ids', []).length }
+
+    brooktree = events.find { |event| event['venue'] == '7500 Brooktree Rd' }
+    assert_equal ['7500 Brooktree Rd Wexford'], brooktree['also_reported'].map { |report| report['venue'] }
+  end
+
+  def test_truck_feeds_merge_the_same_reports
+    trucks = JSON.parse(File.read(File.join(DATA_DIR, 'trucks.json')))
+    merged = trucks.sum { |truck| Jekyll::EventDedup.merge(truck['events'] || []).length }
+
+    assert_equal 38, merged
+  end
+
+  def test_same_stop_under_two_spellings_is_one_event_kept_from_the_surest_report
+    events = Jekyll::EventDedup.merge([SOUTH_SIDE, SOUTHSIDE])
+
+    assert_equal 1, events.length
+    assert_equal 'southside-works', events[0]['id']
+    assert_equal ['south-side-works'], events[0]['duplicate_ids']
+    assert_equal 'https://www.instagram.com/p/first/', events[0]['also_reported'][0]['source_url']
+  end
+
+  def test_near_misses_stay_separate_events
+    {
+      'the next evening' => { 'id' => 'next', 'start_ts' => '2025-09-27T22:00:00+00:00', 'end_ts' => '2025-09-28T02:00:00+00:00' },
+      'another truck' => { 'id' => 'other-truck', 'truck_name' => 'Blue Sparrow' },
+      'the same name 0.6 miles off' => { 'id' => 'far', 'lng' => -79.9537786 },
+      'another venue a block away' => { 'id' => 'block', 'venue' => 'Hofbräuhaus', 'lng' => -79.9632786 },
+      'another venue with no coordinates' => { 'id' => 'unplaced', 'venue' => 'Carson Street', 'lat' => 0, 'lng' => 0 }
+    }.each do |description, changes|
+      assert_equal 2, Jekyll::EventDedup.merge([SOUTH_SIDE, SOUTH_SIDE.merge(changes)]).length, description
+    end
+  end
+
+  def test_reports_without_coordinates_merge_on_the_venue_name_alone
+    unplaced = SOUTH_SIDE.merge('id' => 'unplaced', 'venue' => 'Southside Works', 'lat' => nil, 'lng' => nil, 'confidence' => 0.5)
+    events = Jekyll::EventDedup.merge([SOUTH_SIDE, unplaced])
+
+    assert_equal ['south-side-works'], events.map { |event| event['id'] }
+  end
+end
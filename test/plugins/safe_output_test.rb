@@ -0,0 +1,80 @@
+require_relative 'test_helper'
+require_plugin 'safe_output'
+
+class SafeOutputFiltersTest < Minitest::Test
+  # Filters run alongside Jekyll's own, as they do in a Liquid template
+  class Filters
+    include Jekyll::Filters
+    include Jekyll::SafeOutputFilters
+  end
+
+  HOSTILE_EVENT = {
+    'venue' => '</script><script>alert(1)</script>',
+    'truck_name' => %q(Bob's "Tacos" & <b>Grill</b>),
+    'raw_address' => "Line\u2028break\u2029here",
+    'source_url' => 'javascript:alert(1)'
+  }.freeze
+
+  def setup
+    @filters = Filters.new
+  end
+
+  def test_safe_jsonify_cannot_close_the_script_element
+    output = @filters.safe_jsonify(HOSTILE_EVENT)
+    page = "<script>window.siteData = { events: [#{output}] };</script>"
+
+    refute_match(/<\/script/i, output)
+    assert_equal 1, page.scan(%r{</script>}).length
+    refute_includes output, '<'
+    refute_includes output, '>'
+    refute_includes output, '&'
+  end
+
+  def test_safe_jsonify_escapes_line_separators
+    output = @filters.safe_jsonify(HOSTILE_EVENT['raw_address'])
+
+    refute_includes output, "\u2028"
+    refute_includes output, "\u2029"
+    assert_includes output, '\u2028'
+    assert_includes output, '\u2029'
+  end
+
+  def test_safe_jsonify_round_trips_to_the_same_data
+    assert_equal HOSTILE_EVENT, JSON.parse(@filters.safe_jsonify(HOSTILE_EVENT))
+    assert_equal 'null', @filters.safe_jsonify(nil)
+  end
+
+  def test_safe_url_keeps_http_links
+    assert_equal 'https://www.instagram.com/p/abc/', @filters.safe_url(' https://www.instagram.com/p/abc/ ')
+    assert_equal 'http://example.com/?a=1&b=2', @filters.safe_url('http://example.com/?a=1&b=2')
+  end
+
+  def test_safe_url_rejects_other_schemes
+    [
+      'javascript:alert(1)',
+      'JAVASCRIPT:alert(1)',
+      " \tjavascript:alert(1)",
+      'data:text/html,<script>alert(1)</script>',
+      'vbscript:msgbox(1)',
+      'ftp://example.com/file',
+      '/events/123/',
+      '',
+      nil
+    ].each do |url|
+      assert_equal '', @filters.safe_url(url), url.inspect
+    end
+  end
+
+  def test_safe_url_rejects_protocol_relative_and_hostless_links
+    ['//evil.example/x', 'https:///evil.example', 'https:/\\evil.example', 'https://\\evil.example'].each do |url|
+      assert_equal '', @filters.safe_url(url), url.inspect
+    end
+  end
+
+  def test_safe_url_cannot_end_its_attribute
+    output = @filters.safe_url(%q(https://example.com/"onmouseover="alert(1)'><script>))
+
+    assert_equal 'https://example.com/%22onmouseover=%22alert(1)%27%3E%3Cscript%3E', output
+    refute_match(/["'<>\s]/, output)
+  end
+end
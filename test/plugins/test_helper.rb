@@ -0,0 +1,12 @@
+# Plugin tests run against the Jekyll from the Gemfile (npm run test:plugins
+# runs them in the Docker image), loading plugins one at a time
+require 'minitest/autorun'
+require 'json'
+require 'jekyll'
+
+PLUGINS_DIR = File.expand_path('../../_plugins', __dir__)
+DATA_DIR = File.expand_path('../../_data', __dir__)
+
+def require_plugin(name)
+  require File.join(PLUGINS_DIR, "#{name}.rb")
+end